@@ -0,0 +1,91 @@
+const express = require("express");
+const cors = require("cors");
+const swaggerJsDoc = require("swagger-jsdoc");
+const swaggerUI = require("swagger-ui-express");
+
+/**
+ * Creates the Express app without connecting to the database or listening.
+ * @param {Object} config Configuration from loadConfig.
+ * @returns {Object} Express app.
+ */
+function createApp(config) {
+  // Swagger API
+  const options = {
+    definition: {
+      openapi: "3.0.0",
+      info: {
+        title: "HackJustice",
+        version: "1.0.0",
+        description: "A simple Express API for a hackathon project.",
+      },
+      servers: [
+        {
+          url: config.swaggerServerUrl,
+        },
+      ],
+    },
+    // files containing annotations as above
+    apis: [
+      `${__dirname}/routes/*.js`,
+      `${__dirname}/middleware/errorHandler.js`,
+    ],
+  };
+
+  const specs = swaggerJsDoc(options);
+
+  // CORS policy
+  const corsOptions = {
+    origin: config.corsOrigin,
+    optionsSuccessStatus: 200, // For legacy browser support
+    exposedHeaders: [
+      "X-Total-Count",
+      "X-Page",
+      "X-Limit",
+      "Retry-After",
+      "X-RateLimit-Limit",
+      "X-RateLimit-Remaining",
+    ],
+  };
+
+  // Express App
+  const app = express();
+  app.set("shuttingDown", false);
+  app.set("trust proxy", config.trustProxy);
+  app.use(cors(corsOptions));
+  // The import route reads its own body, with a larger limit
+  const parseBody = express.Router();
+  parseBody.use(express.urlencoded({ extended: true }));
+  parseBody.use(express.json({ extended: false }));
+  app.use((req, res, next) =>
+    /^\/games\/import\/?$/.test(req.path) ? next() : parseBody(req, res, next)
+  );
+  app.use(require("./middleware/locale"));
+  app.use("/api-docs", swaggerUI.serve, swaggerUI.setup(specs));
+
+  // Test Route
+  app.get("/", (req, res) => {
+    res.send("Hello World");
+  });
+
+  // Define Routes
+  app.use("/", require("./routes/health"));
+  app.use("/users", require("./routes/users"));
+  app.use("/games", require("./routes/importExport"));
+  app.use("/games", require("./routes/analytics"));
+  app.use("/games", require("./routes/versions"));
+  app.use("/games", require("./routes/games"));
+  app.use("/leaderboard", require("./routes/leaderboard"));
+  app.use("/settings", require("./routes/settings"));
+  app.use("/audit", require("./routes/audit"));
+  app.use("/achievements", require("./routes/achievements"));
+  app.use("/classrooms", require("./routes/classrooms"));
+  app.use("/events", require("./routes/events"));
+
+  // Error Handling
+  app.use(require("./middleware/notFound"));
+  app.use(require("./middleware/errorHandler"));
+
+  return app;
+}
+
+module.exports = { createApp };
@@ -1,27 +1,38 @@
 require("dotenv").config();
 const jwt = require("jsonwebtoken");
+const User = require("../models/User.js");
+const Session = require("../models/Session.js");
+const asyncHandler = require("../utils/asyncHandler.js");
+const { ApiError } = require("../utils/errors.js");
 
-module.exports = function (req, res, next) {
+module.exports = asyncHandler(async function (req, res, next) {
   // Get token from header
   const token = req.header("x-auth-token");
 
   // Check if not token
   if (!token) {
-    return res.status(401).json({ msg: "No token, authorization denied" });
+    throw new ApiError(401, "No token, authorization denied");
   }
 
   // Verify token
+  let decoded;
   try {
-    jwt.verify(token, process.env.SECRET, (error, decoded) => {
-      if (error) {
-        return res.status(401).json({ msg: "Token is not valid" });
-      } else {
-        req.user = decoded.user;
-        next();
-      }
-    });
+    decoded = jwt.verify(token, process.env.SECRET);
   } catch (err) {
-    console.error("something wrong with auth middleware");
-    res.status(500).json({ msg: "Server Error" });
+    throw new ApiError(401, "Token is not valid", { code: "INVALID_TOKEN" });
   }
-};
+
+  // Reject tokens of revoked sessions and deleted users
+  const session = decoded.session && (await Session.findById(decoded.session));
+  if (
+    !session ||
+    session.revokedAt ||
+    !(await User.exists({ _id: decoded.user.id }))
+  ) {
+    throw new ApiError(401, "Token is not valid", { code: "INVALID_TOKEN" });
+  }
+
+  req.user = decoded.user;
+  req.sessionId = decoded.session;
+  next();
+});
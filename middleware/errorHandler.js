@@ -0,0 +1,109 @@
+const mongoose = require("mongoose");
+const { CODES, ApiError } = require("../utils/errors.js");
+
+/**
+ * @swagger
+ * components:
+ *  schemas:
+ *    Error:
+ *      type: object
+ *      description: |
+ *        Every failed request answers with this body.
+ *        - VALIDATION_ERROR (400): invalid input, details lists the failed fields.
+ *        - INVALID_JSON (400): the body is not valid JSON.
+ *        - BAD_REQUEST (400): the request can't be processed as sent.
+ *        - UNAUTHORIZED (401): missing token.
+ *        - INVALID_TOKEN (401): token expired, revoked or of a deleted user.
+ *        - INVALID_CREDENTIALS (400): wrong email or password.
+ *        - USER_EXISTS (400): the email is already registered.
+ *        - LAST_ADMIN (400): the only admin can't lose the admin role.
+ *        - ROLE_REQUIRED (403): the user lacks the role of the route.
+ *        - EMAIL_NOT_VERIFIED (403): the email must be verified first.
+ *        - GAME_LOCKED (403): details.requires lists the games to complete first.
+ *        - TIME_UP (403): the deadline of the attempt has passed, details.deadline tells when.
+ *        - FORBIDDEN (403): not allowed for this user.
+ *        - NOT_FOUND (404): unknown route, malformed id or missing resource.
+ *        - CONFLICT (409): the change clashes with existing data.
+ *        - PAYLOAD_TOO_LARGE (413): the body is too large.
+ *        - RATE_LIMITED (429): too many requests, details.retryAfter and the Retry-After header tell the seconds to wait.
+ *        - ACCOUNT_LOCKED (429): too many failed logins for the email, retry after details.retryAfter seconds.
+ *        - SERVER_ERROR (500): unexpected failure, logged on the server.
+ *      properties:
+ *        status:
+ *          type: integer
+ *          description: HTTP status, same as the response status.
+ *        code:
+ *          type: string
+ *          description: Machine-readable error code.
+ *        msg:
+ *          type: string
+ *          description: Human readable message.
+ *        details:
+ *          description: Extra data depending on the code, e.g. the failed validations.
+ */
+
+// Turns known errors of Mongoose, the body parser and the routes into ApiErrors
+function toApiError(err) {
+  if (err instanceof ApiError) {
+    return err;
+  }
+
+  if (err instanceof mongoose.Error.CastError) {
+    return new ApiError(404, "Resource not found", {
+      details: { param: err.path, value: err.value },
+    });
+  }
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    const details = Object.values(err.errors).map((item) => ({
+      param: item.path,
+      value: item.value,
+      msg: item.message,
+    }));
+    return new ApiError(400, details[0].msg, {
+      code: "VALIDATION_ERROR",
+      details,
+    });
+  }
+
+  if (err.code === 11000) {
+    return new ApiError(409, "Already exists", {
+      details: { fields: Object.keys(err.keyValue || {}) },
+    });
+  }
+
+  // Errors of the body parser and other http-errors
+  if (err.expose && err.status < 500) {
+    return new ApiError(err.status, err.message, {
+      code: err.type === "entity.parse.failed" ? "INVALID_JSON" : undefined,
+    });
+  }
+
+  return null;
+}
+
+// Must be registered after every route, Express needs all four arguments
+module.exports = function (err, req, res, next) {
+  // Too late for a JSON body, let Express close the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  let error = toApiError(err);
+  if (!error) {
+    console.error(err);
+    error = new ApiError(500, "Server error", { code: CODES[500] });
+  }
+
+  // Rate limits and lockouts tell when to try again
+  if (error.details && error.details.retryAfter) {
+    res.set("Retry-After", String(error.details.retryAfter));
+  }
+
+  res.status(error.status).json({
+    status: error.status,
+    code: error.code,
+    msg: error.message,
+    details: error.details,
+  });
+};
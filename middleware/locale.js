@@ -0,0 +1,8 @@
+const { pickLocale } = require("../utils/locale.js");
+
+// Sets req.locale from ?lang= or the Accept-Language header
+module.exports = function (req, res, next) {
+  req.locale = pickLocale(req.query.lang, req.header("accept-language"));
+  res.set("Content-Language", req.locale);
+  next();
+};
@@ -0,0 +1,6 @@
+const { ApiError } = require("../utils/errors.js");
+
+// Unknown routes get the error envelope instead of the default HTML page
+module.exports = function (req, res, next) {
+  next(new ApiError(404, `Cannot ${req.method} ${req.path}`));
+};
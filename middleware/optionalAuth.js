@@ -0,0 +1,10 @@
+const auth = require("./auth.js");
+
+// Like the auth middleware, but lets anonymous requests through without req.user
+module.exports = function (req, res, next) {
+  if (!req.header("x-auth-token")) {
+    return next();
+  }
+
+  auth(req, res, next);
+};
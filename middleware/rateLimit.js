@@ -0,0 +1,31 @@
+const asyncHandler = require("../utils/asyncHandler.js");
+const { ApiError } = require("../utils/errors.js");
+const { getStore, secondsUntil } = require("../utils/rateLimit.js");
+
+/**
+ * Limits how often a route is called, per IP unless another key is given.
+ * @param {Object} options
+ * @param {string} options.name Prefix of the store keys, unique per limit.
+ * @param {number} options.windowMs Length of the window.
+ * @param {number} options.max Requests allowed per window.
+ * @param {Function} [options.key] Key of the caller from the request.
+ */
+module.exports = function ({ name, windowMs, max, key = (req) => req.ip }) {
+  return asyncHandler(async function (req, res, next) {
+    const { count, resetAt } = await getStore().hit(
+      `${name}:${key(req)}`,
+      windowMs
+    );
+
+    res.set("X-RateLimit-Limit", String(max));
+    res.set("X-RateLimit-Remaining", String(Math.max(0, max - count)));
+    if (count > max) {
+      throw new ApiError(429, "Too many requests, try again later", {
+        code: "RATE_LIMITED",
+        details: { retryAfter: secondsUntil(resetAt) },
+      });
+    }
+
+    next();
+  });
+};
@@ -0,0 +1,25 @@
+const User = require("../models/User.js");
+const asyncHandler = require("../utils/asyncHandler.js");
+const { ApiError } = require("../utils/errors.js");
+
+// Must be used after the auth middleware. Admins pass every role check.
+module.exports = function (...roles) {
+  return asyncHandler(async function (req, res, next) {
+    const user = await User.findById(req.user.id).select("-password");
+
+    // User deleted since the auth middleware ran
+    if (!user) {
+      throw new ApiError(401, "Token is not valid", { code: "INVALID_TOKEN" });
+    }
+
+    if (!user.hasRole(...roles)) {
+      throw new ApiError(
+        403,
+        `Not authorized. Requires one of the roles: ${roles.join(", ")}.`,
+        { code: "ROLE_REQUIRED", details: { roles } }
+      );
+    }
+
+    next();
+  });
+};
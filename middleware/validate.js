@@ -0,0 +1,17 @@
+const { validationResult } = require("express-validator");
+const { ApiError } = require("../utils/errors.js");
+
+// Must be used after the Express Validator checks of a route
+module.exports = function (req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(
+      new ApiError(400, errors.array()[0].msg, {
+        code: "VALIDATION_ERROR",
+        details: errors.array(),
+      })
+    );
+  }
+
+  next();
+};
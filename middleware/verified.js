@@ -0,0 +1,20 @@
+const User = require("../models/User.js");
+const Setting = require("../models/Setting.js");
+const asyncHandler = require("../utils/asyncHandler.js");
+const { ApiError } = require("../utils/errors.js");
+
+// Must be used after the auth middleware. Admins decide if unverified users may play.
+module.exports = asyncHandler(async function (req, res, next) {
+  if (await Setting.get("allowUnverifiedPlay")) {
+    return next();
+  }
+
+  const user = await User.findById(req.user.id).select("emailVerified");
+  if (!user || !user.emailVerified) {
+    throw new ApiError(403, "Please verify your email before playing games", {
+      code: "EMAIL_NOT_VERIFIED",
+    });
+  }
+
+  next();
+});
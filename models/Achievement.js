@@ -0,0 +1,76 @@
+const mongoose = require("mongoose");
+
+// gamesCompleted needs count games passed, perfectScore a 100% attempt of game,
+// allInOrder every game first passed in their order and streak count days in a
+// row with a finished attempt.
+const RULE_TYPES = ["gamesCompleted", "perfectScore", "allInOrder", "streak"];
+
+const AchievementSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+  },
+
+  description: {
+    type: String,
+  },
+
+  // Badge image shown in the catalogue
+  icon: {
+    type: String,
+  },
+
+  rule: {
+    type: {
+      type: String,
+      enum: RULE_TYPES,
+      required: true,
+    },
+    // Only for gamesCompleted and streak
+    count: {
+      type: Number,
+      min: 1,
+    },
+    // Only for perfectScore
+    game: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "game",
+    },
+  },
+
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+/**
+ * Checks that the rule has the parameters its type needs.
+ * @param {Object} rule Rule with type, count and game.
+ * @returns {string|null} Problem description, null if the rule is valid.
+ */
+AchievementSchema.statics.checkRule = function (rule) {
+  switch (rule && rule.type) {
+    case "gamesCompleted":
+    case "streak":
+      if (!Number.isInteger(Number(rule.count)) || Number(rule.count) < 1) {
+        return `${rule.type} rules need a count of 1 or more`;
+      }
+      break;
+    case "perfectScore":
+      if (!mongoose.isValidObjectId(rule.game)) {
+        return "Perfect score rules need the id of a game";
+      }
+      break;
+    case "allInOrder":
+      break;
+    default:
+      return `Rule type must be one of ${RULE_TYPES.join(", ")}`;
+  }
+
+  return null;
+};
+
+AchievementSchema.statics.RULE_TYPES = RULE_TYPES;
+
+module.exports = mongoose.model("achievement", AchievementSchema);
@@ -0,0 +1,149 @@
+const mongoose = require("mongoose");
+
+const AttemptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "user",
+    required: true,
+    index: true,
+  },
+
+  game: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "game",
+    required: true,
+    index: true,
+  },
+
+  // Version of the game the attempt was played on, see GameVersion
+  version: {
+    type: Number,
+  },
+
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  finishedAt: {
+    type: Date,
+  },
+
+  // Set for timed games, answers after it and the grace period don't count
+  deadline: {
+    type: Date,
+  },
+
+  // True if it was first recorded when answering or submitting, without the
+  // game being opened or started, so its duration isn't known
+  unmeasured: {
+    type: Boolean,
+  },
+
+  // True if it was submitted after the deadline
+  timedOut: {
+    type: Boolean,
+  },
+
+  // Questions drawn for the attempt in the order shown, with their answer order
+  selection: [
+    {
+      _id: false,
+      question: {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+      answers: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+        },
+      ],
+      matches: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+        },
+      ],
+    },
+  ],
+
+  answers: [
+    {
+      question: {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+      // Answer id, list of ids, text or pairs depending on the question type
+      answer: {
+        type: mongoose.Schema.Types.Mixed,
+      },
+      credit: {
+        type: Number,
+      },
+      correct: {
+        type: Boolean,
+      },
+      // Set when the answer is saved before the attempt is submitted
+      answeredAt: {
+        type: Date,
+      },
+      // Milliseconds spent on the question
+      timeSpent: {
+        type: Number,
+        min: 0,
+      },
+      // True if saved after the time limit of the question, scored as unanswered
+      timedOut: {
+        type: Boolean,
+      },
+    },
+  ],
+
+  score: {
+    type: Number,
+  },
+
+  total: {
+    type: Number,
+  },
+
+  percentage: {
+    type: Number,
+  },
+
+  passed: {
+    type: Boolean,
+    default: false,
+  },
+});
+
+// Ids of the games the user has passed at least once, deleted games excluded
+AttemptSchema.statics.completedGames = async function (userId) {
+  const games = await this.distinct("game", { user: userId, passed: true });
+  const existing = await mongoose
+    .model("game")
+    .find({ _id: { $in: games } })
+    .select("_id");
+  return existing.map((game) => ({ game: game._id }));
+};
+
+// Best score, attempt count and completion per game for one user
+AttemptSchema.statics.progress = function (userId) {
+  return this.aggregate([
+    {
+      $match: {
+        user: mongoose.Types.ObjectId(String(userId)),
+        finishedAt: { $exists: true },
+      },
+    },
+    {
+      $group: {
+        _id: "$game",
+        attempts: { $sum: 1 },
+        bestScore: { $max: "$score" },
+        bestPercentage: { $max: "$percentage" },
+        completed: { $max: "$passed" },
+        lastAttemptAt: { $max: "$finishedAt" },
+      },
+    },
+  ]);
+};
+
+module.exports = mongoose.model("attempt", AttemptSchema);
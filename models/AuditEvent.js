@@ -0,0 +1,106 @@
+const mongoose = require("mongoose");
+
+const ACTIONS = [
+  "game.create",
+  "game.update",
+  "game.delete",
+  "game.restore",
+  "game.purge",
+  "game.status.change",
+  "game.version.rollback",
+  "user.delete",
+  "user.restore",
+  "user.purge",
+  "user.role.grant",
+  "user.role.revoke",
+  "user.login",
+  "user.login.failed",
+  "user.password.reset",
+  "user.password.change",
+  "user.email.change",
+  "settings.update",
+  "achievement.create",
+  "achievement.update",
+  "achievement.delete",
+];
+
+const TARGET_TYPES = ["game", "user", "settings", "achievement"];
+
+const AuditEventSchema = new mongoose.Schema({
+  // Missing for failed logins of unknown emails and background jobs
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "user",
+    index: true,
+  },
+
+  action: {
+    type: String,
+    enum: ACTIONS,
+    required: true,
+  },
+
+  target: {
+    type: {
+      type: String,
+      enum: TARGET_TYPES,
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+  },
+
+  // Changed fields only, before holds the old values and after the new ones
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+
+  // Anything else worth keeping, e.g. the email of a failed login
+  meta: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+
+  ip: {
+    type: String,
+  },
+
+  userAgent: {
+    type: String,
+  },
+
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+AuditEventSchema.index({ "target.id": 1, date: -1 });
+AuditEventSchema.index({ action: 1, date: -1 });
+
+// Append-only, events are never changed or removed through the model
+const appendOnly = function () {
+  throw new Error("Audit events are append-only");
+};
+AuditEventSchema.pre("save", function (next) {
+  next(this.isNew ? undefined : new Error("Audit events are append-only"));
+});
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "findOneAndRemove",
+  "findOneAndDelete",
+  "deleteOne",
+  "deleteMany",
+  "remove",
+  "replaceOne",
+].forEach((method) => AuditEventSchema.pre(method, appendOnly));
+
+AuditEventSchema.statics.ACTIONS = ACTIONS;
+AuditEventSchema.statics.TARGET_TYPES = TARGET_TYPES;
+
+module.exports = mongoose.model("auditEvent", AuditEventSchema);
@@ -0,0 +1,77 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+// Invite codes leave out 0/O and 1/I so they can be read out in class
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 8;
+
+const ClassroomSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "user",
+    required: true,
+    index: true,
+  },
+
+  // Learners join with it, the teacher can replace it to stop new joins
+  inviteCode: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+
+  learners: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+      index: true,
+    },
+  ],
+
+  // Games the teacher assigned, dueAt is optional
+  assignments: [
+    {
+      _id: false,
+      game: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "game",
+        required: true,
+      },
+      dueAt: {
+        type: Date,
+      },
+      assignedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Random invite code, uniqueness is left to the index
+ClassroomSchema.statics.generateCode = function () {
+  return [...crypto.randomBytes(CODE_LENGTH)]
+    .map((byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length])
+    .join("");
+};
+
+ClassroomSchema.methods.isTaughtBy = function (userId) {
+  return String(this.teacher) === String(userId);
+};
+
+ClassroomSchema.methods.hasLearner = function (userId) {
+  return this.learners.some((learner) => String(learner) === String(userId));
+};
+
+module.exports = mongoose.model("classroom", ClassroomSchema);
@@ -1,4 +1,92 @@
 const mongoose = require("mongoose");
+const softDelete = require("./plugins/softDelete.js");
+const GameVersion = require("./GameVersion.js");
+const { LOCALES } = require("../utils/locale.js");
+
+// single and truefalse have one correct answer, multiple has one or more.
+// text accepts any of its answers, ordering stores answers in the right order
+// and matching pairs every answer with its match.
+const QUESTION_TYPES = [
+  "single",
+  "multiple",
+  "truefalse",
+  "text",
+  "ordering",
+  "matching",
+];
+
+// Only published games, and scheduled ones once their time has come, are
+// shown to learners. Archived games are hidden but keep their attempts.
+const STATUSES = ["draft", "scheduled", "published", "archived"];
+
+// Statuses in which changes are recorded as a new version
+const LIVE_STATUSES = ["scheduled", "published"];
+
+// What learners play, the order in the menu and the status are not versioned
+const VERSIONED_FIELDS = [
+  "title",
+  "icon",
+  "startText",
+  "endText",
+  "translations",
+  "passThreshold",
+  "prerequisites",
+  "unlockByOrder",
+  "questionPool",
+  "shuffleQuestions",
+  "shuffleAnswers",
+  "timeLimit",
+  "questions",
+];
+
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Texts in other locales than the default, keyed by locale
+const translations = (fields) => ({
+  type: Map,
+  of: new mongoose.Schema(
+    fields.reduce((schema, field) => ({ ...schema, [field]: String }), {}),
+    { _id: false }
+  ),
+  default: {},
+  validate: {
+    validator: (map) => [...map.keys()].every((key) => LOCALES.includes(key)),
+    message: `Translations must be keyed by one of ${LOCALES.join(", ")}`,
+  },
+});
+
+// Items in the order of the ids, the ones missing from ids last
+const inOrder = (items, ids) => {
+  const rank = new Map((ids || []).map((id, index) => [String(id), index]));
+  const position = (item) =>
+    rank.has(String(item._id)) ? rank.get(String(item._id)) : Infinity;
+  return [...items].sort((a, b) => position(a) - position(b) || 0);
+};
+
+// Translatable fields of games, questions and answers
+const TRANSLATED = {
+  game: ["title", "startText", "endText"],
+  question: ["content"],
+  answer: ["content", "match"],
+};
+
+// Replaces translated fields of a plain object with the locale texts
+const localize = (doc, fields, locale) => {
+  const translation = doc.translations && doc.translations[locale];
+  fields.forEach((field) => {
+    if (translation && translation[field]) {
+      doc[field] = translation[field];
+    }
+  });
+  delete doc.translations;
+};
 
 const GameSchema = new mongoose.Schema({
   title: {
@@ -22,8 +110,76 @@ const GameSchema = new mongoose.Schema({
     type: String,
   },
 
+  translations: translations(TRANSLATED.game),
+
+  passThreshold: {
+    type: Number,
+    min: 0,
+    max: 100,
+  },
+
+  // Games that must be completed before this one unlocks
+  prerequisites: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "game",
+    },
+  ],
+
+  // Also requires every game with a lower order to be completed
+  unlockByOrder: {
+    type: Boolean,
+    default: false,
+  },
+
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: "draft",
+    index: true,
+  },
+
+  // When a scheduled game is published
+  publishAt: {
+    type: Date,
+  },
+
+  // Latest recorded version, 0 until the game is first published or scheduled
+  version: {
+    type: Number,
+    default: 0,
+  },
+
+  // Questions drawn at random for every attempt, all of them if empty
+  questionPool: {
+    type: Number,
+    min: 1,
+  },
+
+  shuffleQuestions: {
+    type: Boolean,
+    default: false,
+  },
+
+  // Ordering questions and matches are shuffled regardless
+  shuffleAnswers: {
+    type: Boolean,
+    default: false,
+  },
+
+  // Seconds an attempt may take, no limit if empty
+  timeLimit: {
+    type: Number,
+    min: 1,
+  },
+
   questions: [
     {
+      type: {
+        type: String,
+        enum: QUESTION_TYPES,
+        default: "single",
+      },
       order: {
         type: Number,
       },
@@ -31,16 +187,38 @@ const GameSchema = new mongoose.Schema({
         type: String,
         required: true,
       },
+      translations: translations(TRANSLATED.question),
+      // Only for text questions, normalized ignores case, spaces and punctuation
+      textMatch: {
+        type: String,
+        enum: ["exact", "normalized"],
+        default: "normalized",
+      },
+      // Only for multiple, ordering and matching questions
+      partialCredit: {
+        type: Boolean,
+        default: true,
+      },
+      // Seconds from the previous saved answer, or the start, to answer it
+      timeLimit: {
+        type: Number,
+        min: 1,
+      },
       answers: [
         {
           correct: {
             type: Boolean,
-            required: true,
+            default: false,
           },
           content: {
             type: String,
             required: true,
           },
+          // Only for matching questions
+          match: {
+            type: String,
+          },
+          translations: translations(TRANSLATED.answer),
         },
       ],
     },
@@ -51,4 +229,270 @@ const GameSchema = new mongoose.Schema({
   },
 });
 
+GameSchema.index({ title: 1 });
+GameSchema.plugin(softDelete);
+
+// Status as loaded, to tell when a game goes live
+GameSchema.post("init", function () {
+  this.$locals.loadedStatus = this.status;
+});
+
+// Changes of published and scheduled games get a new version, unless the
+// content is the same as the latest version, e.g. when a game is republished
+GameSchema.pre("save", async function () {
+  if (!LIVE_STATUSES.includes(this.status)) {
+    return;
+  }
+  const wasLive =
+    !this.isNew && LIVE_STATUSES.includes(this.$locals.loadedStatus);
+  if (wasLive && this.version && !this.isModified(VERSIONED_FIELDS)) {
+    return;
+  }
+
+  const snapshot = this.snapshot();
+  const latest = await GameVersion.findOne({ game: this._id }).sort({
+    version: -1,
+  });
+  if (latest && JSON.stringify(latest.snapshot) === JSON.stringify(snapshot)) {
+    this.version = latest.version;
+    return;
+  }
+
+  this.version = (latest ? latest.version : 0) + 1;
+  this.$locals.newVersion = snapshot;
+});
+
+GameSchema.post("save", async function () {
+  this.$locals.loadedStatus = this.status;
+  if (this.$locals.newVersion) {
+    const snapshot = this.$locals.newVersion;
+    delete this.$locals.newVersion;
+    await GameVersion.create({
+      game: this._id,
+      version: this.version,
+      snapshot,
+    });
+  }
+});
+
+// Versioned fields as a plain object, see VERSIONED_FIELDS
+GameSchema.methods.snapshot = function () {
+  const game = this.toObject({ flattenMaps: true, depopulate: true });
+  return VERSIONED_FIELDS.reduce((snapshot, field) => {
+    if (game[field] !== undefined) {
+      snapshot[field] = game[field];
+    }
+    return snapshot;
+  }, {});
+};
+
+// True if learners can see the game
+GameSchema.methods.isVisible = function (now = new Date()) {
+  return (
+    this.status === "published" ||
+    (this.status === "scheduled" &&
+      Boolean(this.publishAt) &&
+      this.publishAt <= now)
+  );
+};
+
+// Query filter of the games learners can see, see isVisible
+GameSchema.statics.visibleFilter = function (now = new Date()) {
+  return {
+    $or: [
+      { status: "published" },
+      { status: "scheduled", publishAt: { $lte: now } },
+    ],
+  };
+};
+
+// Text of a translatable field in the locale, the default text if not translated
+GameSchema.methods.translated = function (field, locale) {
+  const translation = this.translations && this.translations.get(locale);
+  return (translation && translation[field]) || this[field];
+};
+
+// True if the game or any of its questions has a time limit
+GameSchema.methods.isTimed = function () {
+  return Boolean(
+    this.timeLimit || this.questions.some((question) => question.timeLimit)
+  );
+};
+
+// True if attempts may see other questions or another order than the stored one
+GameSchema.methods.isRandomized = function () {
+  return Boolean(
+    this.questionPool || this.shuffleQuestions || this.shuffleAnswers
+  );
+};
+
+/**
+ * Draws the questions of a new attempt and the order of their answers.
+ * @returns {Object[]} Question ids in the order shown, each with its answer ids
+ * and, for matching questions, the answer ids in the order of the matches.
+ */
+GameSchema.methods.drawSelection = function () {
+  let questions = this.questions;
+  if (this.questionPool && this.questionPool < questions.length) {
+    const drawn = new Set(shuffle(questions).slice(0, this.questionPool));
+    questions = questions.filter((question) => drawn.has(question));
+  }
+  if (this.shuffleQuestions) {
+    questions = shuffle(questions);
+  }
+
+  return questions.map((question) => {
+    const answers = question.answers.map((answer) => answer._id);
+    const entry = {
+      question: question._id,
+      answers:
+        this.shuffleAnswers || question.type === "ordering"
+          ? shuffle(answers)
+          : answers,
+    };
+    if (question.type === "matching") {
+      entry.matches = shuffle(answers);
+    }
+    return entry;
+  });
+};
+
+/**
+ * Game without anything that gives away the solution, safe to send to learners.
+ * @param {string} [locale] Locale of the texts, untranslated fields keep the default text.
+ * @param {Object[]} [selection] Questions and answer order of an attempt, see drawSelection.
+ */
+GameSchema.methods.toPublic = function (locale, selection) {
+  const game = this.toObject({ flattenMaps: true });
+  localize(game, TRANSLATED.game, locale);
+  (game.questions || []).forEach((question) => {
+    localize(question, TRANSLATED.question, locale);
+    question.answers.forEach((answer) => {
+      localize(answer, TRANSLATED.answer, locale);
+      delete answer.correct;
+    });
+  });
+
+  const entries = new Map();
+  if (selection && selection.length) {
+    selection.forEach((entry) => entries.set(String(entry.question), entry));
+    game.questions = inOrder(
+      game.questions.filter((question) => entries.has(String(question._id))),
+      selection.map((entry) => entry.question)
+    );
+  }
+
+  (game.questions || []).forEach((question) => {
+    const entry = entries.get(String(question._id));
+    if (entry) {
+      question.answers = inOrder(question.answers, entry.answers);
+    }
+
+    if (question.type === "text") {
+      question.answers = [];
+    } else if (question.type === "ordering" && !entry) {
+      question.answers = shuffle(question.answers);
+    } else if (question.type === "matching") {
+      question.matches = (
+        entry
+          ? inOrder(question.answers, entry.matches)
+          : shuffle(question.answers)
+      ).map((answer) => answer.match);
+      question.answers.forEach((answer) => {
+        delete answer.match;
+      });
+    }
+  });
+  return game;
+};
+
+/**
+ * Lists the texts that have no translation in the locale.
+ * @param {string} locale Locale to check.
+ * @returns {Object|null} Missing fields of the game, its questions and answers, null if nothing is missing.
+ */
+GameSchema.methods.missingTranslations = function (locale) {
+  // Fields that have a default text but no translation
+  const missing = (doc, fields) => {
+    const translation = doc.translations && doc.translations.get(locale);
+    return fields.filter(
+      (field) => doc[field] && !(translation && translation[field])
+    );
+  };
+
+  const questions = this.questions
+    .map((question) => ({
+      question: question._id,
+      content: question.content,
+      fields: missing(question, TRANSLATED.question),
+      answers: question.answers
+        .map((answer) => ({
+          answer: answer._id,
+          fields: missing(answer, TRANSLATED.answer),
+        }))
+        .filter((answer) => answer.fields.length),
+    }))
+    .filter((question) => question.fields.length || question.answers.length);
+  const fields = missing(this, TRANSLATED.game);
+
+  if (!fields.length && !questions.length) {
+    return null;
+  }
+
+  return { game: this._id, title: this.title, fields, questions };
+};
+
+/**
+ * Checks the answers of a question against the rules of its type.
+ * @param {Object} question Question with type and answers.
+ * @returns {string|null} Problem description, null if the question is valid.
+ */
+GameSchema.statics.checkQuestion = function (question) {
+  const type = question.type || "single";
+  const answers = question.answers || [];
+  const correct = answers.filter((answer) => answer.correct).length;
+
+  switch (type) {
+    case "single":
+      if (answers.length < 2 || correct !== 1) {
+        return "Single choice questions need two or more answers and exactly one correct";
+      }
+      break;
+    case "truefalse":
+      if (answers.length !== 2 || correct !== 1) {
+        return "True/false questions need two answers and exactly one correct";
+      }
+      break;
+    case "multiple":
+      if (answers.length < 2 || correct < 1) {
+        return "Multiple choice questions need two or more answers and at least one correct";
+      }
+      break;
+    case "text":
+      if (answers.length < 1) {
+        return "Text questions need at least one accepted answer";
+      }
+      break;
+    case "ordering":
+      if (answers.length < 2) {
+        return "Ordering questions need two or more answers";
+      }
+      break;
+    case "matching":
+      if (answers.length < 2 || answers.some((answer) => !answer.match)) {
+        return "Matching questions need two or more answers, each with a match";
+      }
+      break;
+    default:
+      return `Question type must be one of ${QUESTION_TYPES.join(", ")}`;
+  }
+
+  return null;
+};
+
+GameSchema.statics.QUESTION_TYPES = QUESTION_TYPES;
+GameSchema.statics.STATUSES = STATUSES;
+GameSchema.statics.VERSIONED_FIELDS = VERSIONED_FIELDS;
+GameSchema.statics.TRANSLATED = TRANSLATED;
+
 module.exports = mongoose.model("game", GameSchema);
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// Content of a game as learners played it, recorded on every published change
+const GameVersionSchema = new mongoose.Schema({
+  game: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "game",
+    required: true,
+  },
+
+  version: {
+    type: Number,
+    required: true,
+  },
+
+  // Versioned fields of the game, see Game.VERSIONED_FIELDS
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+GameVersionSchema.index({ game: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model("gameVersion", GameVersionSchema);
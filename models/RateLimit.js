@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+// Hit counter of the mongo rate limit store, one per key and window
+const RateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+
+  count: {
+    type: Number,
+    default: 0,
+  },
+
+  // MongoDB removes counters once their window is over
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0,
+  },
+});
+
+module.exports = mongoose.model("rateLimit", RateLimitSchema);
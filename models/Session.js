@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "user",
+    required: true,
+    index: true,
+  },
+
+  // Hash of the current refresh token, replaced on every refresh
+  tokenHash: {
+    type: String,
+    required: true,
+  },
+
+  // MongoDB removes sessions once they expire
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0,
+  },
+
+  revokedAt: {
+    type: Date,
+  },
+
+  userAgent: {
+    type: String,
+  },
+
+  ip: {
+    type: String,
+  },
+
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Revokes every active session of the user
+SessionSchema.statics.revokeAll = function (userId) {
+  return this.updateMany(
+    { user: userId, revokedAt: { $exists: false } },
+    { revokedAt: Date.now() }
+  );
+};
+
+module.exports = mongoose.model("session", SessionSchema);
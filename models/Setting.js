@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+// Settings admins can change at runtime, with their default values
+const DEFAULTS = {
+  allowUnverifiedPlay: true,
+};
+
+const SettingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    enum: Object.keys(DEFAULTS),
+    required: true,
+    unique: true,
+  },
+
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+});
+
+// Value of one setting, or its default if it was never changed
+SettingSchema.statics.get = async function (key) {
+  const setting = await this.findOne({ key });
+  return setting ? setting.value : DEFAULTS[key];
+};
+
+// Every setting merged over the defaults
+SettingSchema.statics.getAll = async function () {
+  const settings = await this.find();
+  return settings.reduce(
+    (all, setting) => ({ ...all, [setting.key]: setting.value }),
+    { ...DEFAULTS }
+  );
+};
+
+SettingSchema.statics.put = function (key, value) {
+  return this.findOneAndUpdate({ key }, { value }, { upsert: true, new: true });
+};
+
+SettingSchema.statics.DEFAULTS = DEFAULTS;
+
+module.exports = mongoose.model("setting", SettingSchema);
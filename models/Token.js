@@ -0,0 +1,77 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+const TYPES = ["passwordReset", "emailVerification", "emailChange"];
+
+const hash = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const TokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "user",
+    required: true,
+  },
+
+  type: {
+    type: String,
+    enum: TYPES,
+    required: true,
+  },
+
+  // Only the hash is stored, the token itself is sent by email
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+
+  // MongoDB removes tokens once they expire
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0,
+  },
+
+  usedAt: {
+    type: Date,
+  },
+});
+
+/**
+ * Creates a single-use token, replacing unused tokens of the same type.
+ * @param {string} userId
+ * @param {string} type One of passwordReset, emailVerification or emailChange.
+ * @param {number} ttl Lifetime in milliseconds.
+ * @returns {Promise<string>} The plain token.
+ */
+TokenSchema.statics.issue = async function (userId, type, ttl) {
+  await this.deleteMany({ user: userId, type, usedAt: { $exists: false } });
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await this.create({
+    user: userId,
+    type,
+    tokenHash: hash(token),
+    expiresAt: Date.now() + ttl,
+  });
+  return token;
+};
+
+/**
+ * Marks a valid token as used.
+ * @returns {Promise<Object|null>} The token document, null if it is unknown, used or expired.
+ */
+TokenSchema.statics.consume = function (token, type) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hash(String(token)),
+      type,
+      usedAt: { $exists: false },
+      expiresAt: { $gt: Date.now() },
+    },
+    { usedAt: Date.now() },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model("token", TokenSchema);
@@ -1,4 +1,16 @@
 const mongoose = require("mongoose");
+const softDelete = require("./plugins/softDelete.js");
+const Session = require("./Session.js");
+
+const ROLES = ["admin", "editor", "teacher", "learner"];
+
+// Legacy admin flag kept in responses for existing clients
+const addAdminFlag = (doc, ret) => {
+  if (ret.roles) {
+    ret.admin = ret.roles.includes("admin");
+  }
+  return ret;
+};
 
 const UserSchema = new mongoose.Schema({
   email: {
@@ -12,22 +24,65 @@ const UserSchema = new mongoose.Schema({
     required: true,
   },
 
-  admin: {
+  emailVerified: {
     type: Boolean,
-    required: true,
+    default: false,
+  },
+
+  // New email waiting for confirmation, replaces email once confirmed
+  pendingEmail: {
+    type: String,
+  },
+
+  roles: {
+    type: [{ type: String, enum: ROLES }],
+    default: ["learner"],
+  },
+
+  displayName: {
+    type: String,
+    trim: true,
   },
 
-  games: [
+  hideFromLeaderboard: {
+    type: Boolean,
+    default: false,
+  },
+
+  // Locked games an admin opened for this user
+  unlockedGames: [
     {
-      game: {
-        type: mongoose.Schema.Types.ObjectId,
-      },
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "game",
     },
   ],
+
   date: {
     type: Date,
     default: Date.now,
   },
 });
 
+UserSchema.plugin(softDelete);
+
+UserSchema.set("toJSON", { transform: addAdminFlag });
+UserSchema.set("toObject", { transform: addAdminFlag });
+
+// A new password logs out every existing session
+UserSchema.pre("save", async function () {
+  if (!this.isNew && this.isModified("password")) {
+    await Session.revokeAll(this._id);
+  }
+});
+
+// True if the user has one of the roles, admins have every role
+UserSchema.methods.hasRole = function (...roles) {
+  return (
+    this.roles.includes("admin") ||
+    roles.some((role) => this.roles.includes(role))
+  );
+};
+
+UserSchema.statics.ROLES = ROLES;
+
 module.exports = mongoose.model("user", UserSchema);
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+const UserAchievementSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "user",
+    required: true,
+  },
+
+  achievement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "achievement",
+    required: true,
+    index: true,
+  },
+
+  unlockedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Every achievement is unlocked once per user
+UserAchievementSchema.index({ user: 1, achievement: 1 }, { unique: true });
+
+module.exports = mongoose.model("userAchievement", UserAchievementSchema);
@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+const QUERIES = [
+  "count",
+  "countDocuments",
+  "find",
+  "findOne",
+  "findOneAndUpdate",
+  "update",
+  "updateOne",
+  "updateMany",
+];
+
+/**
+ * Marks documents as deleted instead of removing them. Queries skip deleted
+ * documents unless the filter has deletedAt or the withDeleted option is set,
+ * e.g. Model.find().setOptions({ withDeleted: true }).
+ * @param {Object} schema Mongoose schema.
+ */
+module.exports = function softDelete(schema) {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      index: true,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+    },
+  });
+
+  schema.pre(QUERIES, function () {
+    if (!this.getOptions().withDeleted && !("deletedAt" in this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+  });
+
+  schema.pre("aggregate", function () {
+    if (!this.options.withDeleted) {
+      this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+  });
+
+  /**
+   * Hides the document from normal queries.
+   * @param {string} [userId] Who deleted it.
+   */
+  schema.methods.softDelete = function (userId) {
+    this.deletedAt = Date.now();
+    this.deletedBy = userId;
+    return this.save();
+  };
+
+  schema.methods.restore = function () {
+    this.deletedAt = undefined;
+    this.deletedBy = undefined;
+    return this.save();
+  };
+};
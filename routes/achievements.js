@@ -0,0 +1,317 @@
+const express = require("express");
+const router = express.Router();
+const { check } = require("express-validator");
+const Achievement = require("../models/Achievement.js");
+const UserAchievement = require("../models/UserAchievement.js");
+const auth = require("../middleware/auth.js");
+const optionalAuth = require("../middleware/optionalAuth.js");
+const requireRole = require("../middleware/requireRole.js");
+const validate = require("../middleware/validate.js");
+const asyncHandler = require("../utils/asyncHandler.js");
+const { audit } = require("../utils/audit.js");
+const { ApiError } = require("../utils/errors.js");
+
+const achievementChecks = [
+  check("description", "Description must be a string").optional().isString(),
+  check("icon", "Icon must be a string").optional().isString(),
+  check("rule")
+    .optional()
+    .custom((rule) => {
+      const problem = Achievement.checkRule(rule);
+      if (problem) {
+        throw new Error(problem);
+      }
+      return true;
+    }),
+];
+
+/**
+ * @swagger
+ * components:
+ *  schemas:
+ *    Achievement:
+ *      type: object
+ *      properties:
+ *        _id:
+ *          type: string
+ *          description: Auto generated achievement id.
+ *        title:
+ *          type: string
+ *        description:
+ *          type: string
+ *        icon:
+ *          type: string
+ *          description: Badge image.
+ *        rule:
+ *          $ref: '#/components/schemas/AchievementRule'
+ *        unlockedAt:
+ *          type: date
+ *          description: When the user unlocked it, null if still locked. Only sent with a token or when just unlocked.
+ *    AchievementRule:
+ *      type: object
+ *      properties:
+ *        type:
+ *          type: string
+ *          enum: [gamesCompleted, perfectScore, allInOrder, streak]
+ *          description: |
+ *            What unlocks the achievement.
+ *            - gamesCompleted: passing count different games.
+ *            - perfectScore: an attempt of game with every answer correct.
+ *            - allInOrder: passing every game, each one after the games before it in order.
+ *            - streak: finishing an attempt on count days in a row (UTC).
+ *        count:
+ *          type: integer
+ *          description: Only for gamesCompleted and streak.
+ *        game:
+ *          type: string
+ *          description: Game id, only for perfectScore.
+ */
+
+/**
+ * @swagger
+ * /achievements:
+ *  get:
+ *    summary: Get the badge catalogue. With a token every achievement has the date the user unlocked it.
+ *    tags: [Achievements]
+ *    parameters:
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *    responses:
+ *      200:
+ *        description: List of achievements
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: array
+ *              items:
+ *                $ref: '#/components/schemas/Achievement'
+ *      401:
+ *        description: Not authorized
+ *      500:
+ *        description: Server error
+ */
+router.get(
+  "/",
+  optionalAuth,
+  asyncHandler(async (req, res) => {
+    const achievements = await Achievement.find().sort({ date: 1 }).lean();
+
+    if (req.user) {
+      const unlocked = new Map(
+        (await UserAchievement.find({ user: req.user.id })).map((entry) => [
+          String(entry.achievement),
+          entry.unlockedAt,
+        ])
+      );
+      achievements.forEach((achievement) => {
+        achievement.unlockedAt = unlocked.get(String(achievement._id)) || null;
+      });
+    }
+
+    res.status(200).json(achievements);
+  })
+);
+
+/**
+ * @swagger
+ * /achievements:
+ *  post:
+ *    summary: Creates new achievement. Users who already meet its rule unlock it on their next attempt. Only admins are authorized.
+ *    tags: [Achievements]
+ *    parameters:
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              title:
+ *                type: string
+ *              description:
+ *                type: string
+ *              icon:
+ *                type: string
+ *              rule:
+ *                $ref: '#/components/schemas/AchievementRule'
+ *    responses:
+ *      200:
+ *        description: New achievement created
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      500:
+ *        description: Server error
+ */
+router.post(
+  "/",
+  [
+    auth,
+    requireRole("admin"),
+    [
+      check("title", "Title field can't be empty").notEmpty(),
+      check("rule", "Rule is required").exists(),
+      ...achievementChecks,
+    ],
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    // Distruct request body
+    const { title, description, icon, rule } = req.body;
+    const achievement = await new Achievement({
+      title,
+      description,
+      icon,
+      rule,
+    }).save();
+
+    await audit(req, "achievement.create", {
+      target: { type: "achievement", id: achievement._id },
+      after: achievement,
+    });
+    res.status(200).json(achievement);
+  })
+);
+
+/**
+ * @swagger
+ * /achievements/{achievement_id}:
+ *  patch:
+ *    summary: Update the achievement. Users who unlocked it keep it. Only admins are authorized.
+ *    tags: [Achievements]
+ *    parameters:
+ *      - in: path
+ *        name: achievement_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              title:
+ *                type: string
+ *              description:
+ *                type: string
+ *              icon:
+ *                type: string
+ *              rule:
+ *                $ref: '#/components/schemas/AchievementRule'
+ *    responses:
+ *      200:
+ *        description: Achievement successfuly updated
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      404:
+ *        description: Achievement not found
+ *      500:
+ *        description: Server error
+ */
+router.patch(
+  "/:achievement_id",
+  [
+    auth,
+    requireRole("admin"),
+    [
+      check("title", "Title field can't be empty").optional().notEmpty(),
+      ...achievementChecks,
+    ],
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const achievement = await Achievement.findById(req.params.achievement_id);
+
+    if (!achievement) {
+      throw new ApiError(404, "Achievement not found");
+    }
+    const before = achievement.toObject();
+
+    ["title", "description", "icon", "rule"]
+      .filter((field) => req.body[field] !== undefined)
+      .forEach((field) => {
+        achievement[field] = req.body[field];
+      });
+
+    await achievement.save();
+    await audit(req, "achievement.update", {
+      target: { type: "achievement", id: achievement._id },
+      before,
+      after: achievement,
+    });
+    res.status(200).json(achievement);
+  })
+);
+
+/**
+ * @swagger
+ * /achievements/{achievement_id}:
+ *  delete:
+ *    summary: Delete the achievement, it is also taken from every user who unlocked it. Only admins are authorized.
+ *    tags: [Achievements]
+ *    parameters:
+ *      - in: path
+ *        name: achievement_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    responses:
+ *      200:
+ *        description: Achievement successfuly deleted
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      404:
+ *        description: Achievement not found
+ *      500:
+ *        description: Server error
+ */
+router.delete(
+  "/:achievement_id",
+  auth,
+  requireRole("admin"),
+  asyncHandler(async (req, res) => {
+    const achievement = await Achievement.findById(req.params.achievement_id);
+
+    if (!achievement) {
+      throw new ApiError(404, "Achievement not found");
+    }
+
+    await UserAchievement.deleteMany({ achievement: achievement._id });
+    await achievement.remove();
+    await audit(req, "achievement.delete", {
+      target: { type: "achievement", id: achievement._id },
+      before: achievement,
+    });
+    res.status(200).json({ msg: "Achievement successfuly deleted" });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,289 @@
+const express = require("express");
+const router = express.Router();
+const { query } = require("express-validator");
+const Game = require("../models/Game.js");
+const auth = require("../middleware/auth.js");
+const requireRole = require("../middleware/requireRole.js");
+const validate = require("../middleware/validate.js");
+const {
+  gamesReport,
+  gameReport,
+  gamesReportCsv,
+  gameReportCsv,
+} = require("../utils/analytics.js");
+const asyncHandler = require("../utils/asyncHandler.js");
+const { ApiError } = require("../utils/errors.js");
+
+const reportChecks = [
+  query("from", "From must be an ISO 8601 date")
+    .optional()
+    .isISO8601()
+    .toDate(),
+  query("to", "To must be an ISO 8601 date").optional().isISO8601().toDate(),
+  query("format", "Format must be json or csv")
+    .optional()
+    .isIn(["json", "csv"]),
+];
+
+/**
+ * @swagger
+ * components:
+ *  schemas:
+ *    GameStats:
+ *      type: object
+ *      properties:
+ *        game:
+ *          type: string
+ *        title:
+ *          type: string
+ *        order:
+ *          type: integer
+ *        started:
+ *          type: integer
+ *          description: Attempts started in the date range.
+ *        finished:
+ *          type: integer
+ *        abandoned:
+ *          type: integer
+ *          description: Unfinished attempts without any activity for a day.
+ *        passed:
+ *          type: integer
+ *        passRate:
+ *          type: number
+ *          description: Percentage of finished attempts that passed.
+ *        averagePercentage:
+ *          type: number
+ *        averageTime:
+ *          type: number
+ *          description: Average milliseconds from start to submit, of the attempts whose game was opened or started before answering.
+ *    QuestionReport:
+ *      type: object
+ *      properties:
+ *        game:
+ *          type: string
+ *        title:
+ *          type: string
+ *        started:
+ *          type: integer
+ *        finished:
+ *          type: integer
+ *        abandoned:
+ *          type: integer
+ *        abandonedBeforeSubmit:
+ *          type: integer
+ *          description: Abandoned attempts that had answered every question they were shown.
+ *        questions:
+ *          type: array
+ *          items:
+ *            type: object
+ *            properties:
+ *              question:
+ *                type: string
+ *              order:
+ *                type: integer
+ *              content:
+ *                type: string
+ *              type:
+ *                type: string
+ *              attempts:
+ *                type: integer
+ *                description: Finished attempts that had the question.
+ *              answered:
+ *                type: integer
+ *              correctRate:
+ *                type: number
+ *                description: Percentage of attempts that got the question fully right.
+ *              averageCredit:
+ *                type: number
+ *              averageTime:
+ *                type: number
+ *                description: Average milliseconds spent, only known for answers saved while playing or sent with timeSpent.
+ *              abandonedHere:
+ *                type: integer
+ *                description: Abandoned attempts that stopped at this question, the one after their last answer in the order they were shown.
+ *              answers:
+ *                type: array
+ *                items:
+ *                  type: object
+ *                  properties:
+ *                    answer:
+ *                      type: string
+ *                    content:
+ *                      type: string
+ *                    correct:
+ *                      type: boolean
+ *                    count:
+ *                      type: integer
+ *                    rate:
+ *                      type: number
+ *                description: How often every answer was chosen, only for single, multiple and true/false questions.
+ *              responses:
+ *                type: array
+ *                items:
+ *                  type: object
+ *                  properties:
+ *                    text:
+ *                      type: string
+ *                    count:
+ *                      type: integer
+ *                    rate:
+ *                      type: number
+ *                description: Most frequent typed answers in lower case, only for text questions.
+ */
+
+/**
+ * @swagger
+ * /games/analytics:
+ *  get:
+ *    summary: Get attempt statistics of every game. Only admins and editors are authorized.
+ *    description: |
+ *      - json: a list of GameStats.
+ *      - csv: one row per game with the columns game, order, started, finished, abandoned, passed, pass_percent, average_percentage, average_time_ms.
+ *    tags: [Analytics]
+ *    parameters:
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: query
+ *        name: from
+ *        schema:
+ *          type: string
+ *        description: Only attempts started on or after this ISO 8601 date.
+ *      - in: query
+ *        name: to
+ *        schema:
+ *          type: string
+ *        description: Only attempts started on or before this ISO 8601 date.
+ *      - in: query
+ *        name: format
+ *        schema:
+ *          type: string
+ *          enum: [json, csv]
+ *        description: Defaults to json.
+ *    responses:
+ *      200:
+ *        description: Statistics per game
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: array
+ *              items:
+ *                $ref: '#/components/schemas/GameStats'
+ *          text/csv:
+ *            schema:
+ *              type: string
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      500:
+ *        description: Server error
+ */
+router.get(
+  "/analytics",
+  [auth, requireRole("editor"), reportChecks],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { from, to, format } = req.query;
+    const report = await gamesReport({ from, to });
+
+    if (format === "csv") {
+      return res
+        .status(200)
+        .type("text/csv")
+        .attachment("games-analytics.csv")
+        .send(gamesReportCsv(report));
+    }
+
+    res.status(200).json(report);
+  })
+);
+
+/**
+ * @swagger
+ * /games/{game_id}/analytics:
+ *  get:
+ *    summary: Get the per-question report of the game, i.e. correct rates, answer distribution, time spent and where learners abandon it. Only admins and editors are authorized.
+ *    description: |
+ *      - json: see the QuestionReport schema.
+ *      - csv: one row per answer or typed response with the columns question_order, question, type, attempts, answered, correct_percent, average_credit, average_time_ms, abandoned_here, answer, answer_correct, chosen, chosen_percent. Question columns are repeated on every row.
+ *    tags: [Analytics]
+ *    parameters:
+ *      - in: path
+ *        name: game_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: query
+ *        name: from
+ *        schema:
+ *          type: string
+ *        description: Only attempts started on or after this ISO 8601 date.
+ *      - in: query
+ *        name: to
+ *        schema:
+ *          type: string
+ *        description: Only attempts started on or before this ISO 8601 date.
+ *      - in: query
+ *        name: format
+ *        schema:
+ *          type: string
+ *          enum: [json, csv]
+ *        description: Defaults to json.
+ *    responses:
+ *      200:
+ *        description: Per-question report
+ *        content:
+ *          application/json:
+ *            schema:
+ *              $ref: '#/components/schemas/QuestionReport'
+ *          text/csv:
+ *            schema:
+ *              type: string
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      404:
+ *        description: Game not found
+ *      500:
+ *        description: Server error
+ */
+router.get(
+  "/:game_id/analytics",
+  [auth, requireRole("editor"), reportChecks],
+  validate,
+  asyncHandler(async (req, res) => {
+    const game = await Game.findById(req.params.game_id);
+
+    if (!game) {
+      throw new ApiError(404, "Game not found");
+    }
+
+    const { from, to, format } = req.query;
+    const report = await gameReport(game, { from, to });
+
+    if (format === "csv") {
+      return res
+        .status(200)
+        .type("text/csv")
+        .attachment(`game-${game.id}-analytics.csv`)
+        .send(gameReportCsv(report));
+    }
+
+    res.status(200).json(report);
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,218 @@
+const express = require("express");
+const router = express.Router();
+const { query } = require("express-validator");
+const AuditEvent = require("../models/AuditEvent.js");
+const auth = require("../middleware/auth.js");
+const requireRole = require("../middleware/requireRole.js");
+const validate = require("../middleware/validate.js");
+const asyncHandler = require("../utils/asyncHandler.js");
+const { listChecks, findPage, setPageHeaders } = require("../utils/list.js");
+
+// Sorting and projection allowed on the audit log
+const AUDIT_SORTS = ["date"];
+const AUDIT_FIELDS = [
+  "actor",
+  "action",
+  "target",
+  "before",
+  "after",
+  "meta",
+  "ip",
+  "userAgent",
+  "date",
+];
+
+/**
+ * @swagger
+ * components:
+ *  schemas:
+ *    AuditEvent:
+ *      type: object
+ *      properties:
+ *        _id:
+ *          type: string
+ *          description: Auto generated event id.
+ *        actor:
+ *          type: string
+ *          description: Id of the user who did the action. Missing for failed logins of unknown emails and purges.
+ *        action:
+ *          type: string
+ *          enum: [game.create, game.update, game.delete, game.restore, game.purge, game.status.change, game.version.rollback, user.delete, user.restore, user.purge, user.role.grant, user.role.revoke, user.login, user.login.failed, user.password.reset, user.password.change, user.email.change, settings.update, achievement.create, achievement.update, achievement.delete]
+ *        target:
+ *          type: object
+ *          properties:
+ *            type:
+ *              type: string
+ *              enum: [game, user, settings, achievement]
+ *            id:
+ *              type: string
+ *          description: What the action was done to.
+ *        before:
+ *          type: object
+ *          description: Old values of the changed fields. Subdocuments are keyed by id, e.g. questions.<id>.
+ *        after:
+ *          type: object
+ *          description: New values of the changed fields.
+ *        meta:
+ *          type: object
+ *          description: Extra data, e.g. the email of a failed login.
+ *        ip:
+ *          type: string
+ *        userAgent:
+ *          type: string
+ *        date:
+ *          type: date
+ *          description: When the action happened.
+ */
+
+/**
+ * @swagger
+ * /audit:
+ *  get:
+ *    summary: Get a page of audit events, newest first. Only admins are authorized. Pagination is returned in the X-Total-Count, X-Page and X-Limit headers.
+ *    tags: [Audit]
+ *    parameters:
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: query
+ *        name: actor
+ *        schema:
+ *          type: string
+ *        description: Id of the acting user.
+ *      - in: query
+ *        name: action
+ *        schema:
+ *          type: string
+ *      - in: query
+ *        name: target
+ *        schema:
+ *          type: string
+ *        description: Id of the game or user the action was done to.
+ *      - in: query
+ *        name: targetType
+ *        schema:
+ *          type: string
+ *          enum: [game, user, settings, achievement]
+ *      - in: query
+ *        name: from
+ *        schema:
+ *          type: string
+ *          format: date-time
+ *        description: Only events at or after this date.
+ *      - in: query
+ *        name: to
+ *        schema:
+ *          type: string
+ *          format: date-time
+ *        description: Only events before this date.
+ *      - in: query
+ *        name: page
+ *        schema:
+ *          type: integer
+ *      - in: query
+ *        name: limit
+ *        schema:
+ *          type: integer
+ *      - in: query
+ *        name: sort
+ *        schema:
+ *          type: string
+ *          enum: [date, -date]
+ *      - in: query
+ *        name: q
+ *        schema:
+ *          type: string
+ *        description: Search in action names, e.g. game. for every game action.
+ *      - in: query
+ *        name: fields
+ *        schema:
+ *          type: string
+ *        description: Comma separated fields to return, e.g. actor,action,date.
+ *    responses:
+ *      200:
+ *        description: Page of audit events
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: array
+ *              items:
+ *                $ref: '#/components/schemas/AuditEvent'
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      500:
+ *        description: Server error
+ */
+router.get(
+  "/",
+  [
+    auth,
+    requireRole("admin"),
+    [
+      ...listChecks({ sort: AUDIT_SORTS, fields: AUDIT_FIELDS }),
+      query("actor", "Actor must be a user id").optional().isMongoId(),
+      query("action", `Action must be one of ${AuditEvent.ACTIONS.join(", ")}`)
+        .optional()
+        .isIn(AuditEvent.ACTIONS),
+      query("target", "Target must be an id").optional().isMongoId(),
+      query(
+        "targetType",
+        `Target type must be one of ${AuditEvent.TARGET_TYPES.join(", ")}`
+      )
+        .optional()
+        .isIn(AuditEvent.TARGET_TYPES),
+      query("from", "From must be an ISO 8601 date")
+        .optional()
+        .isISO8601()
+        .toDate(),
+      query("to", "To must be an ISO 8601 date")
+        .optional()
+        .isISO8601()
+        .toDate(),
+    ],
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { actor, action, target, targetType, from, to } = req.query;
+
+    const filter = {};
+    if (actor) {
+      filter.actor = actor;
+    }
+    if (action) {
+      filter.action = action;
+    }
+    if (target) {
+      filter["target.id"] = target;
+    }
+    if (targetType) {
+      filter["target.type"] = targetType;
+    }
+    if (from || to) {
+      filter.date = {};
+      if (from) {
+        filter.date.$gte = from;
+      }
+      if (to) {
+        filter.date.$lt = to;
+      }
+    }
+
+    const page = await findPage(AuditEvent, req, {
+      filter,
+      search: "action",
+      defaultSort: "-date",
+    });
+    setPageHeaders(res, page);
+
+    res.status(200).json(page.items);
+  })
+);
+
+module.exports = router;
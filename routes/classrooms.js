@@ -0,0 +1,800 @@
+const express = require("express");
+const router = express.Router();
+const { check, query } = require("express-validator");
+const Classroom = require("../models/Classroom.js");
+const Game = require("../models/Game.js");
+const User = require("../models/User.js");
+const auth = require("../middleware/auth.js");
+const requireRole = require("../middleware/requireRole.js");
+const validate = require("../middleware/validate.js");
+const rateLimit = require("../middleware/rateLimit.js");
+const { classProgress, progressCsv } = require("../utils/classrooms.js");
+const asyncHandler = require("../utils/asyncHandler.js");
+const { ApiError } = require("../utils/errors.js");
+
+// Codes are short, so guessing them is limited per user
+const joinLimit = rateLimit({
+  name: "classroom-join",
+  windowMs: 60 * 60 * 1000,
+  max: 20,
+  key: (req) => req.user.id,
+});
+
+/**
+ * Classroom of the request path. Its teacher and admins may manage it,
+ * learners of the class may only read it.
+ * @param {Object} req Request with classroom_id.
+ * @param {Object} [options]
+ * @param {boolean} [options.manage] True if learners aren't enough.
+ * @returns {Promise<{classroom: Object, manager: boolean}>}
+ */
+async function findClassroom(req, { manage = true } = {}) {
+  const classroom = await Classroom.findById(req.params.classroom_id);
+
+  if (!classroom) {
+    throw new ApiError(404, "Classroom not found");
+  }
+  if (classroom.isTaughtBy(req.user.id)) {
+    return { classroom, manager: true };
+  }
+
+  const user = await User.findById(req.user.id).select("roles");
+  if (user && user.hasRole("admin")) {
+    return { classroom, manager: true };
+  }
+  if (!manage && classroom.hasLearner(req.user.id)) {
+    return { classroom, manager: false };
+  }
+
+  throw new ApiError(403, "Only the teacher of the classroom may do this");
+}
+
+// What learners see of a classroom, without the invite code and classmates
+const forLearner = (classroom) => ({
+  _id: classroom._id,
+  name: classroom.name,
+  teacher: classroom.teacher,
+  assignments: classroom.assignments,
+});
+
+// Saves with a new invite code, retrying the rare duplicate
+async function saveWithNewCode(classroom) {
+  for (let tries = 1; ; tries++) {
+    classroom.inviteCode = Classroom.generateCode();
+    try {
+      return await classroom.save();
+    } catch (err) {
+      if (err.code !== 11000 || tries >= 5) {
+        throw err;
+      }
+    }
+  }
+}
+
+/**
+ * @swagger
+ * components:
+ *  schemas:
+ *    Classroom:
+ *      type: object
+ *      properties:
+ *        _id:
+ *          type: string
+ *          description: Auto generated classroom id.
+ *        name:
+ *          type: string
+ *        teacher:
+ *          type: string
+ *          description: Id of the teacher who created it.
+ *        inviteCode:
+ *          type: string
+ *          description: Code learners join with. Only visible to the teacher.
+ *        learners:
+ *          type: array
+ *          items:
+ *            type: string
+ *          description: Ids of the learners. Only visible to the teacher.
+ *        assignments:
+ *          type: array
+ *          items:
+ *            type: object
+ *            properties:
+ *              game:
+ *                type: string
+ *              dueAt:
+ *                type: date
+ *              assignedAt:
+ *                type: date
+ *          description: Games the learners have to complete.
+ *        date:
+ *          type: date
+ *          description: The creation date of the classroom.
+ *    ClassProgress:
+ *      type: object
+ *      properties:
+ *        games:
+ *          type: array
+ *          items:
+ *            type: object
+ *            properties:
+ *              game:
+ *                type: string
+ *              title:
+ *                type: string
+ *              dueAt:
+ *                type: date
+ *          description: Assigned games, columns of the matrix.
+ *        learners:
+ *          type: array
+ *          items:
+ *            type: object
+ *            properties:
+ *              user:
+ *                type: string
+ *              displayName:
+ *                type: string
+ *              email:
+ *                type: string
+ *              games:
+ *                type: array
+ *                items:
+ *                  type: object
+ *                  properties:
+ *                    game:
+ *                      type: string
+ *                    completed:
+ *                      type: boolean
+ *                    completedAt:
+ *                      type: date
+ *                      description: First passing attempt.
+ *                    bestScore:
+ *                      type: integer
+ *                    bestPercentage:
+ *                      type: integer
+ *                    attempts:
+ *                      type: integer
+ *                    late:
+ *                      type: boolean
+ *                      description: Completed after the due date, or not completed and the due date has passed.
+ *          description: Rows of the matrix, one cell per assigned game.
+ */
+
+/**
+ * @swagger
+ * /classrooms:
+ *  get:
+ *    summary: Get the classrooms the current user teaches or has joined. Joined classrooms have no invite code and learners.
+ *    tags: [Classrooms]
+ *    parameters:
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    responses:
+ *      200:
+ *        description: List of classrooms
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: array
+ *              items:
+ *                $ref: '#/components/schemas/Classroom'
+ *      401:
+ *        description: Not authorized
+ *      500:
+ *        description: Server error
+ */
+router.get(
+  "/",
+  auth,
+  asyncHandler(async (req, res) => {
+    const classrooms = await Classroom.find({
+      $or: [{ teacher: req.user.id }, { learners: req.user.id }],
+    }).sort({ date: -1 });
+
+    res
+      .status(200)
+      .json(
+        classrooms.map((classroom) =>
+          classroom.isTaughtBy(req.user.id) ? classroom : forLearner(classroom)
+        )
+      );
+  })
+);
+
+/**
+ * @swagger
+ * /classrooms:
+ *  post:
+ *    summary: Creates new classroom with a random invite code. Only teachers and admins are authorized.
+ *    tags: [Classrooms]
+ *    parameters:
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              name:
+ *                type: string
+ *    responses:
+ *      200:
+ *        description: New classroom created
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      500:
+ *        description: Server error
+ */
+router.post(
+  "/",
+  [
+    auth,
+    requireRole("teacher"),
+    [check("name", "Name field can't be empty").trim().notEmpty()],
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const classroom = await saveWithNewCode(
+      new Classroom({ name: req.body.name, teacher: req.user.id })
+    );
+    res.status(200).json(classroom);
+  })
+);
+
+/**
+ * @swagger
+ * /classrooms/join:
+ *  post:
+ *    summary: Join a classroom with its invite code.
+ *    tags: [Classrooms]
+ *    parameters:
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              code:
+ *                type: string
+ *    responses:
+ *      200:
+ *        description: Joined, returns the classroom as learners see it
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      404:
+ *        description: No classroom has this code
+ *      429:
+ *        description: Too many attempts
+ *      500:
+ *        description: Server error
+ */
+router.post(
+  "/join",
+  [
+    auth,
+    joinLimit,
+    [check("code", "Invite code is required").isString().trim().notEmpty()],
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const classroom = await Classroom.findOne({
+      inviteCode: req.body.code.toUpperCase(),
+    });
+
+    if (!classroom) {
+      throw new ApiError(404, "Invite code is not valid");
+    }
+    if (classroom.isTaughtBy(req.user.id)) {
+      throw new ApiError(400, "Teachers can't join their own classroom");
+    }
+
+    await Classroom.updateOne(
+      { _id: classroom._id },
+      { $addToSet: { learners: req.user.id } }
+    );
+    res.status(200).json(forLearner(classroom));
+  })
+);
+
+/**
+ * @swagger
+ * /classrooms/{classroom_id}:
+ *  get:
+ *    summary: Get classroom by id. Learners of the classroom get it without the invite code and learners.
+ *    tags: [Classrooms]
+ *    parameters:
+ *      - in: path
+ *        name: classroom_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    responses:
+ *      200:
+ *        description: Classroom
+ *        content:
+ *          application/json:
+ *            schema:
+ *              $ref: '#/components/schemas/Classroom'
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Not a member of the classroom
+ *      404:
+ *        description: Classroom not found
+ *      500:
+ *        description: Server error
+ */
+router.get(
+  "/:classroom_id",
+  auth,
+  asyncHandler(async (req, res) => {
+    const { classroom, manager } = await findClassroom(req, { manage: false });
+    res.status(200).json(manager ? classroom : forLearner(classroom));
+  })
+);
+
+/**
+ * @swagger
+ * /classrooms/{classroom_id}:
+ *  patch:
+ *    summary: Rename the classroom. Only its teacher and admins are authorized.
+ *    tags: [Classrooms]
+ *    parameters:
+ *      - in: path
+ *        name: classroom_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              name:
+ *                type: string
+ *    responses:
+ *      200:
+ *        description: Classroom successfuly updated
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Not the teacher of the classroom
+ *      404:
+ *        description: Classroom not found
+ *      500:
+ *        description: Server error
+ */
+router.patch(
+  "/:classroom_id",
+  [auth, [check("name", "Name field can't be empty").trim().notEmpty()]],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { classroom } = await findClassroom(req);
+
+    classroom.name = req.body.name;
+    await classroom.save();
+    res.status(200).json(classroom);
+  })
+);
+
+/**
+ * @swagger
+ * /classrooms/{classroom_id}:
+ *  delete:
+ *    summary: Delete the classroom. Attempts of its learners are kept. Only its teacher and admins are authorized.
+ *    tags: [Classrooms]
+ *    parameters:
+ *      - in: path
+ *        name: classroom_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    responses:
+ *      200:
+ *        description: Classroom successfuly deleted
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Not the teacher of the classroom
+ *      404:
+ *        description: Classroom not found
+ *      500:
+ *        description: Server error
+ */
+router.delete(
+  "/:classroom_id",
+  auth,
+  asyncHandler(async (req, res) => {
+    const { classroom } = await findClassroom(req);
+
+    await classroom.remove();
+    res.status(200).json({ msg: "Classroom successfuly deleted" });
+  })
+);
+
+/**
+ * @swagger
+ * /classrooms/{classroom_id}/invite-code:
+ *  post:
+ *    summary: Replace the invite code, the old one stops working. Learners who joined stay. Only its teacher and admins are authorized.
+ *    tags: [Classrooms]
+ *    parameters:
+ *      - in: path
+ *        name: classroom_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    responses:
+ *      200:
+ *        description: Classroom with the new invite code
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Not the teacher of the classroom
+ *      404:
+ *        description: Classroom not found
+ *      500:
+ *        description: Server error
+ */
+router.post(
+  "/:classroom_id/invite-code",
+  auth,
+  asyncHandler(async (req, res) => {
+    const { classroom } = await findClassroom(req);
+    res.status(200).json(await saveWithNewCode(classroom));
+  })
+);
+
+/**
+ * @swagger
+ * /classrooms/{classroom_id}/learners:
+ *  get:
+ *    summary: Get the learners of the classroom. Only its teacher and admins are authorized.
+ *    tags: [Classrooms]
+ *    parameters:
+ *      - in: path
+ *        name: classroom_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    responses:
+ *      200:
+ *        description: List of learners with email and display name
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Not the teacher of the classroom
+ *      404:
+ *        description: Classroom not found
+ *      500:
+ *        description: Server error
+ */
+router.get(
+  "/:classroom_id/learners",
+  auth,
+  asyncHandler(async (req, res) => {
+    const { classroom } = await findClassroom(req);
+
+    const learners = await User.find({ _id: { $in: classroom.learners } })
+      .select("email displayName")
+      .sort({ email: 1 });
+    res.status(200).json(learners);
+  })
+);
+
+/**
+ * @swagger
+ * /classrooms/{classroom_id}/learners/{user_id}:
+ *  delete:
+ *    summary: Remove a learner from the classroom. Only its teacher and admins are authorized, learners may remove themselves to leave.
+ *    tags: [Classrooms]
+ *    parameters:
+ *      - in: path
+ *        name: classroom_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: path
+ *        name: user_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    responses:
+ *      200:
+ *        description: Learner removed
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Not the teacher of the classroom
+ *      404:
+ *        description: Classroom or learner not found
+ *      500:
+ *        description: Server error
+ */
+router.delete(
+  "/:classroom_id/learners/:user_id",
+  auth,
+  asyncHandler(async (req, res) => {
+    const { classroom } = await findClassroom(req, {
+      manage: req.params.user_id !== req.user.id,
+    });
+
+    if (!classroom.hasLearner(req.params.user_id)) {
+      throw new ApiError(404, "Learner not found");
+    }
+
+    classroom.learners.pull(req.params.user_id);
+    await classroom.save();
+    res.status(200).json({ msg: "Learner removed from the classroom" });
+  })
+);
+
+/**
+ * @swagger
+ * /classrooms/{classroom_id}/assignments/{game_id}:
+ *  put:
+ *    summary: Assign a game to the classroom or change its due date. Drafts and archived games can't be assigned. Only its teacher and admins are authorized.
+ *    tags: [Classrooms]
+ *    parameters:
+ *      - in: path
+ *        name: classroom_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: path
+ *        name: game_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    requestBody:
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              dueAt:
+ *                type: string
+ *                description: ISO 8601 date, null or missing for no due date.
+ *    responses:
+ *      200:
+ *        description: Classroom with the assignment
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Not the teacher of the classroom
+ *      404:
+ *        description: Classroom or game not found
+ *      500:
+ *        description: Server error
+ */
+router.put(
+  "/:classroom_id/assignments/:game_id",
+  [
+    auth,
+    [
+      check("dueAt", "Due date must be an ISO 8601 date")
+        .optional({ nullable: true })
+        .isISO8601()
+        .toDate(),
+    ],
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { classroom } = await findClassroom(req);
+
+    // Scheduled games can be assigned ahead of their publishing
+    const game = await Game.findOne({
+      _id: req.params.game_id,
+      status: { $in: ["scheduled", "published"] },
+    }).select("_id");
+    if (!game) {
+      throw new ApiError(404, "Game not found");
+    }
+
+    const assignment = classroom.assignments.find(
+      (item) => String(item.game) === game.id
+    );
+    if (assignment) {
+      assignment.dueAt = req.body.dueAt;
+    } else {
+      classroom.assignments.push({ game: game._id, dueAt: req.body.dueAt });
+    }
+
+    await classroom.save();
+    res.status(200).json(classroom);
+  })
+);
+
+/**
+ * @swagger
+ * /classrooms/{classroom_id}/assignments/{game_id}:
+ *  delete:
+ *    summary: Unassign a game from the classroom. Only its teacher and admins are authorized.
+ *    tags: [Classrooms]
+ *    parameters:
+ *      - in: path
+ *        name: classroom_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: path
+ *        name: game_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    responses:
+ *      200:
+ *        description: Classroom without the assignment
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Not the teacher of the classroom
+ *      404:
+ *        description: Classroom or assignment not found
+ *      500:
+ *        description: Server error
+ */
+router.delete(
+  "/:classroom_id/assignments/:game_id",
+  auth,
+  asyncHandler(async (req, res) => {
+    const { classroom } = await findClassroom(req);
+
+    const assignments = classroom.assignments.filter(
+      (item) => String(item.game) !== req.params.game_id
+    );
+    if (assignments.length === classroom.assignments.length) {
+      throw new ApiError(404, "Assignment not found");
+    }
+
+    classroom.assignments = assignments;
+    await classroom.save();
+    res.status(200).json(classroom);
+  })
+);
+
+/**
+ * @swagger
+ * /classrooms/{classroom_id}/progress:
+ *  get:
+ *    summary: Get the progress matrix of the classroom, every learner in every assigned game. Only its teacher and admins are authorized.
+ *    description: |
+ *      - json: see the ClassProgress schema.
+ *      - csv: one row per learner and game with the columns learner, email, game, due_at, completed, completed_at, best_score, best_percentage, attempts, late.
+ *    tags: [Classrooms]
+ *    parameters:
+ *      - in: path
+ *        name: classroom_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: query
+ *        name: format
+ *        schema:
+ *          type: string
+ *          enum: [json, csv]
+ *        description: Defaults to json.
+ *      - in: query
+ *        name: lang
+ *        schema:
+ *          type: string
+ *        description: Locale of the game titles.
+ *    responses:
+ *      200:
+ *        description: Progress matrix
+ *        content:
+ *          application/json:
+ *            schema:
+ *              $ref: '#/components/schemas/ClassProgress'
+ *          text/csv:
+ *            schema:
+ *              type: string
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Not the teacher of the classroom
+ *      404:
+ *        description: Classroom not found
+ *      500:
+ *        description: Server error
+ */
+router.get(
+  "/:classroom_id/progress",
+  [
+    auth,
+    [
+      query("format", "Format must be json or csv")
+        .optional()
+        .isIn(["json", "csv"]),
+    ],
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { classroom } = await findClassroom(req);
+    const progress = await classProgress(classroom, req.locale);
+
+    if (req.query.format === "csv") {
+      return res
+        .status(200)
+        .type("text/csv")
+        .attachment(`classroom-${classroom.id}.csv`)
+        .send(progressCsv(progress));
+    }
+
+    res.status(200).json(progress);
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,150 @@
+const express = require("express");
+const router = express.Router();
+const jwt = require("jsonwebtoken");
+const User = require("../models/User.js");
+const Session = require("../models/Session.js");
+const auth = require("../middleware/auth.js");
+const asyncHandler = require("../utils/asyncHandler.js");
+const {
+  subscribe,
+  canReceive,
+  eventsSince,
+  onClose,
+} = require("../utils/events.js");
+
+// Comment lines keep proxies from closing quiet streams
+const HEARTBEAT_MS = 25 * 1000;
+
+// Longest timer Node accepts
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// EventSource can't send headers, so the token may come in the query string
+const tokenFromQuery = (req, res, next) => {
+  if (!req.header("x-auth-token") && req.query.token) {
+    req.headers["x-auth-token"] = String(req.query.token);
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * /events:
+ *  get:
+ *    summary: Stream of Server-Sent Events for the current user. The stream ends when the token expires or the session is logged out, the client reconnects with a fresh token.
+ *    description: |
+ *      Every event has an id, a name and JSON data. Send the Last-Event-ID header on reconnect to get the recent events missed meanwhile. Events published before a server restart are not kept, ids keep increasing across restarts.
+ *      - game.published, game.unpublished, game.updated, game.deleted: { game, title }, sent to everyone. Changes of games hidden from learners are only sent to admins and editors.
+ *      - attempt.finished: { game, attempt, score, percentage, passed, timedOut }, sent to the learner.
+ *      - achievement.unlocked: the achievement with unlockedAt, sent to the learner.
+ *      - learner.completed: { user, displayName, game, title, attempt, score, percentage }, sent to admins and the teachers of the learner's classrooms.
+ *      - user.updated: { user, changed }, sent to the user whose profile, email or roles changed.
+ *      - token.expired: the stream ends, reconnect with a new token.
+ *    tags: [Events]
+ *    parameters:
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *      - in: query
+ *        name: token
+ *        schema:
+ *          type: string
+ *        description: Access token, for clients that can't send headers such as EventSource.
+ *      - in: header
+ *        name: Last-Event-ID
+ *        schema:
+ *          type: integer
+ *    responses:
+ *      200:
+ *        description: Event stream
+ *        content:
+ *          text/event-stream:
+ *            schema:
+ *              type: string
+ *      401:
+ *        description: Not authorized
+ *      500:
+ *        description: Server error
+ */
+router.get(
+  "/",
+  tokenFromQuery,
+  auth,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id).select("roles");
+    const subscriber = { id: req.user.id, roles: user ? user.roles : [] };
+    const { exp } = jwt.decode(req.header("x-auth-token"));
+
+    res.status(200).set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      // Tells nginx not to buffer the stream
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    const write = (id, type, data) => {
+      res.write(
+        `${id ? `id: ${id}\n` : ""}event: ${type}\ndata: ${JSON.stringify(
+          data
+        )}\n\n`
+      );
+    };
+    const send = (event) => {
+      if (canReceive(event, subscriber)) {
+        write(event.id, event.type, event.data);
+      }
+      // Granted or revoked roles change what the stream receives
+      if (
+        event.type === "user.updated" &&
+        String(event.data.user) === String(subscriber.id) &&
+        event.data.changed.includes("roles")
+      ) {
+        User.findById(subscriber.id)
+          .select("roles")
+          .then((updated) => {
+            subscriber.roles = updated ? updated.roles : [];
+          })
+          .catch((err) => console.error(err.message));
+      }
+    };
+
+    // Events missed while the client was reconnecting
+    const lastEventId = Number(req.header("last-event-id"));
+    if (lastEventId) {
+      eventsSince(lastEventId).forEach(send);
+    }
+
+    const unsubscribe = subscribe(send);
+    const removeOnClose = onClose(() => res.end());
+
+    // Logged out sessions stop receiving events
+    const heartbeat = setInterval(() => {
+      res.write(": ping\n\n");
+      Session.findById(req.sessionId)
+        .select("revokedAt")
+        .then((session) => {
+          if (!session || session.revokedAt) {
+            res.end();
+          }
+        })
+        .catch((err) => console.error(err.message));
+    }, HEARTBEAT_MS);
+
+    // The stream ends with the token
+    const expiry = setTimeout(() => {
+      write(null, "token.expired", {});
+      res.end();
+    }, Math.min(MAX_TIMER_MS, Math.max(0, exp * 1000 - Date.now())));
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      unsubscribe();
+      removeOnClose();
+    });
+  })
+);
+
+module.exports = router;
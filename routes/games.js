@@ -1,10 +1,367 @@
 require("dotenv").config();
 const express = require("express");
 const router = express.Router();
-const { check, validationResult } = require("express-validator");
+const { body, check, query } = require("express-validator");
 const User = require("../models/User.js");
 const Game = require("../models/Game.js");
+const Attempt = require("../models/Attempt.js");
+const Classroom = require("../models/Classroom.js");
 const auth = require("../middleware/auth.js");
+const optionalAuth = require("../middleware/optionalAuth.js");
+const requireRole = require("../middleware/requireRole.js");
+const verified = require("../middleware/verified.js");
+const validate = require("../middleware/validate.js");
+const { gradeGame } = require("../utils/grading.js");
+const { leaderboardChecks, leaderboard } = require("../utils/leaderboard.js");
+const { listChecks, findPage, setPageHeaders } = require("../utils/list.js");
+const { gameStates, gameState } = require("../utils/unlocking.js");
+const { evaluateAchievements } = require("../utils/achievements.js");
+const { deadlineOf, remaining, isPast } = require("../utils/timeLimits.js");
+const { gameAtVersion } = require("../utils/versions.js");
+const { LOCALES, DEFAULT_LOCALE } = require("../utils/locale.js");
+const { audit } = require("../utils/audit.js");
+const { publish, publishGame } = require("../utils/events.js");
+const asyncHandler = require("../utils/asyncHandler.js");
+const { ApiError } = require("../utils/errors.js");
+
+// State of the game for the user, locked games are refused
+async function unlockedState(userId, game) {
+  const { state, requires } = await gameState(userId, game);
+  if (state === "locked") {
+    throw new ApiError(
+      403,
+      "Game is locked. Complete the required games first.",
+      { code: "GAME_LOCKED", details: { requires } }
+    );
+  }
+  return state;
+}
+
+// Prerequisites must be existing games that don't require this game in turn
+async function checkPrerequisites(game, prerequisites = []) {
+  const ids = [...new Set(prerequisites.map(String))];
+  if (ids.includes(game.id)) {
+    throw new ApiError(400, "A game can't be its own prerequisite", {
+      code: "VALIDATION_ERROR",
+    });
+  }
+
+  const found = await Game.find({ _id: { $in: ids } }).select("prerequisites");
+  const missing = ids.filter((id) => !found.some((item) => item.id === id));
+  if (missing.length) {
+    throw new ApiError(400, "Prerequisites must be existing games", {
+      code: "VALIDATION_ERROR",
+      details: { missing },
+    });
+  }
+
+  // Follows the prerequisites of the prerequisites back to this game
+  const seen = new Set(ids);
+  let games = found;
+  while (games.length) {
+    const next = [];
+    for (const item of games) {
+      for (const id of item.prerequisites.map(String)) {
+        if (id === game.id) {
+          throw new ApiError(400, "Prerequisites can't form a cycle", {
+            code: "VALIDATION_ERROR",
+            details: { through: item.id },
+          });
+        }
+        if (!seen.has(id)) {
+          seen.add(id);
+          next.push(id);
+        }
+      }
+    }
+    games = next.length
+      ? await Game.find({ _id: { $in: next } }).select("prerequisites")
+      : [];
+  }
+}
+
+// Learners open games to play them, so they must be verified like on start
+const verifiedLearner = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select("roles");
+  if (user && user.hasRole("editor")) {
+    return next();
+  }
+  verified(req, res, next);
+});
+
+// Game learners can play, hidden games are not found
+async function playableGame(gameId) {
+  const game = await Game.findById(gameId);
+  if (!game || !game.isVisible()) {
+    throw new ApiError(404, "Game not found");
+  }
+  return game;
+}
+
+// Sends the result to the learner and, once passed, to their teachers and the admins
+async function publishResult(userId, game, attempt, achievements) {
+  const learner = { users: [userId] };
+  publish(
+    "attempt.finished",
+    {
+      game: game._id,
+      attempt: attempt._id,
+      score: attempt.score,
+      percentage: attempt.percentage,
+      passed: attempt.passed,
+      timedOut: Boolean(attempt.timedOut),
+    },
+    learner
+  );
+  achievements.forEach((achievement) =>
+    publish("achievement.unlocked", achievement, learner)
+  );
+
+  if (attempt.passed) {
+    const [user, teachers] = await Promise.all([
+      User.findById(userId).select("displayName"),
+      Classroom.find({ learners: userId }).distinct("teacher"),
+    ]);
+    publish(
+      "learner.completed",
+      {
+        user: userId,
+        displayName: user && user.displayName,
+        game: game._id,
+        title: game.title,
+        attempt: attempt._id,
+        score: attempt.score,
+        percentage: attempt.percentage,
+      },
+      { users: teachers, roles: ["admin"] }
+    );
+  }
+}
+
+// Unsaved attempt with its questions drawn and, for timed games, its deadline
+const newAttempt = (userId, game) => {
+  const startedAt = new Date();
+  return new Attempt({
+    user: userId,
+    game: game._id,
+    version: game.version,
+    startedAt,
+    deadline: deadlineOf(game, startedAt),
+    selection: game.drawSelection(),
+  });
+};
+
+// Started attempt of the user, a new unsaved one if none is open
+async function currentAttempt(userId, game) {
+  const attempt = await Attempt.findOne({
+    user: userId,
+    game: game._id,
+    finishedAt: { $exists: false },
+  }).sort({ startedAt: -1 });
+
+  return attempt || newAttempt(userId, game);
+}
+
+// Attempts first recorded when answering skipped opening the game, so the
+// time they took isn't known
+const markUnmeasured = (attempt) => {
+  if (attempt.isNew) {
+    attempt.unmeasured = true;
+  }
+};
+
+// When the learner got to the next question, the start or the last saved answer
+const questionStartedAt = (attempt) =>
+  new Date(
+    Math.max(
+      attempt.startedAt,
+      ...attempt.answers.map((item) => item.answeredAt || 0)
+    )
+  );
+
+// Sorting and projection allowed on the games list
+const GAME_SORTS = ["order", "date", "title"];
+const GAME_FIELDS = [
+  "title",
+  "icon",
+  "order",
+  "startText",
+  "endText",
+  "passThreshold",
+  "prerequisites",
+  "unlockByOrder",
+  "questionPool",
+  "shuffleQuestions",
+  "shuffleAnswers",
+  "timeLimit",
+  "questions",
+  "status",
+  "publishAt",
+  "version",
+  "date",
+];
+
+// Translations are keyed by locale, a null locale is removed on update
+const translationsCheck = (path, fields) =>
+  check(
+    path,
+    `Translations must be keyed by one of ${LOCALES.join(
+      ", "
+    )}, each with ${fields.join(", ")} strings`
+  )
+    .optional()
+    .custom(
+      (translations) =>
+        translations !== null &&
+        typeof translations === "object" &&
+        !Array.isArray(translations) &&
+        Object.entries(translations).every(
+          ([locale, translation]) =>
+            LOCALES.includes(locale) &&
+            (translation === null ||
+              (typeof translation === "object" &&
+                Object.entries(translation).every(
+                  ([field, text]) =>
+                    fields.includes(field) && typeof text === "string"
+                )))
+        )
+    );
+
+// Merges translations by locale into a document
+const mergeTranslations = (doc, translations) => {
+  Object.entries(translations).forEach(([locale, translation]) => {
+    if (translation === null) {
+      doc.translations.delete(locale);
+    } else {
+      doc.translations.set(locale, translation);
+    }
+  });
+};
+
+// Express Validator checks shared by game, question and answer routes
+const answerChecks = (prefix = "") => [
+  check(`${prefix}content`, "Answer content can't be empty").notEmpty(),
+  check(`${prefix}correct`, "Answer correct field must be a boolean")
+    .optional()
+    .isBoolean()
+    .toBoolean(),
+  check(`${prefix}match`, "Answer match must be a string")
+    .optional()
+    .isString(),
+  translationsCheck(`${prefix}translations`, Game.TRANSLATED.answer),
+];
+
+const questionChecks = (prefix = "") => [
+  check(
+    `${prefix}type`,
+    `Type must be one of ${Game.QUESTION_TYPES.join(", ")}`
+  )
+    .optional()
+    .isIn(Game.QUESTION_TYPES),
+  check(`${prefix}content`, "Question content can't be empty").notEmpty(),
+  check(`${prefix}order`, "Question order must be an integer")
+    .optional()
+    .isInt(),
+  check(`${prefix}textMatch`, "Text match must be exact or normalized")
+    .optional()
+    .isIn(["exact", "normalized"]),
+  check(`${prefix}partialCredit`, "Partial credit must be a boolean")
+    .optional()
+    .isBoolean()
+    .toBoolean(),
+  check(`${prefix}timeLimit`, "Time limit must be a positive number of seconds")
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .toInt(),
+  translationsCheck(`${prefix}translations`, Game.TRANSLATED.question),
+  check(`${prefix}answers`, "Answers must be an array").optional().isArray(),
+  ...answerChecks(`${prefix}answers.*.`),
+];
+
+// Type specific rules, checked on the whole question
+const questionTypeCheck = (chain) =>
+  chain.custom((question) => {
+    const problem = Game.checkQuestion(question);
+    if (problem) {
+      throw new Error(problem);
+    }
+    return true;
+  });
+
+const gameChecks = [
+  check("icon", "Icon must be a string").optional().isString(),
+  check("order", "Order must be an integer").optional().isInt(),
+  check("startText", "Start text must be a string").optional().isString(),
+  check("endText", "End text must be a string").optional().isString(),
+  check("passThreshold", "Pass threshold must be between 0 and 100")
+    .optional()
+    .isInt({ min: 0, max: 100 }),
+  check("prerequisites", "Prerequisites must be an array of game ids")
+    .optional()
+    .isArray(),
+  check(
+    "prerequisites.*",
+    "Prerequisites must be an array of game ids"
+  ).isMongoId(),
+  check("unlockByOrder", "Unlock by order must be a boolean")
+    .optional()
+    .isBoolean()
+    .toBoolean(),
+  check("questionPool", "Question pool must be a positive integer")
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .toInt(),
+  check("shuffleQuestions", "Shuffle questions must be a boolean")
+    .optional()
+    .isBoolean()
+    .toBoolean(),
+  check("shuffleAnswers", "Shuffle answers must be a boolean")
+    .optional()
+    .isBoolean()
+    .toBoolean(),
+  check("timeLimit", "Time limit must be a positive number of seconds")
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .toInt(),
+  translationsCheck("translations", Game.TRANSLATED.game),
+];
+
+const statusChecks = [
+  check("status", `Status must be one of ${Game.STATUSES.join(", ")}`)
+    .optional()
+    .isIn(Game.STATUSES),
+  check("publishAt", "Publish at must be an ISO 8601 date")
+    .optional({ nullable: true })
+    .isISO8601()
+    .toDate(),
+];
+
+// Sets the status, scheduling needs a future publishAt which other statuses drop
+const applyStatus = (game, status, publishAt) => {
+  if (status === "scheduled" && !(publishAt > new Date())) {
+    throw new ApiError(400, "Scheduled games need a future publishAt", {
+      code: "VALIDATION_ERROR",
+    });
+  }
+  game.status = status;
+  game.publishAt = status === "scheduled" ? publishAt : undefined;
+};
+
+// Makes every check of a chain optional, used for partial updates
+const optional = (chains) => chains.map((chain) => chain.optional());
+
+// Sorts subdocuments by the given list of ids, null if the list doesn't match
+const reorder = (docs, ids) => {
+  const unique = new Set(ids.map(String));
+  if (unique.size !== ids.length || unique.size !== docs.length) {
+    return null;
+  }
+
+  const sorted = ids.map((id) =>
+    docs.find((doc) => String(doc._id) === String(id))
+  );
+  return sorted.every(Boolean) ? sorted : null;
+};
 
 /**
  * @swagger
@@ -33,40 +390,152 @@ const auth = require("../middleware/auth.js");
  *        order:
  *          type: integer
  *          description: The order of the game in the menu list.
- *        questions:
+ *        passThreshold:
+ *          type: integer
+ *          description: Percentage of correct answers needed to complete the game.
+ *        prerequisites:
  *          type: array
  *          items:
+ *            type: string
+ *          description: Ids of the games that must be completed before this one unlocks.
+ *        unlockByOrder:
+ *          type: boolean
+ *          description: True if every game with a lower order must be completed before this one unlocks.
+ *        questionPool:
+ *          type: integer
+ *          description: Number of questions drawn at random for every attempt, all questions if empty.
+ *        shuffleQuestions:
+ *          type: boolean
+ *          description: True if every attempt gets the questions in another order.
+ *        shuffleAnswers:
+ *          type: boolean
+ *          description: True if every attempt gets the answers in another order. Ordering questions are always shuffled.
+ *        timeLimit:
+ *          type: integer
+ *          description: Seconds an attempt may take, no limit if empty. Starting an attempt sets its deadline.
+ *        status:
+ *          type: string
+ *          enum: [draft, scheduled, published, archived]
+ *          description: Only published games, and scheduled ones once publishAt has passed, are visible to learners. New games are drafts.
+ *        publishAt:
+ *          type: date
+ *          description: When a scheduled game is published.
+ *        version:
+ *          type: integer
+ *          description: Latest version, recorded on every change of a published or scheduled game. Attempts keep the version they were played on.
+ *        translations:
+ *          type: object
+ *          additionalProperties:
  *            type: object
  *            properties:
- *              order:
- *                type: integer
- *                description: The order in which questions will be displayed.
- *              content:
+ *              title:
  *                type: string
- *                description: The question itself.
- *              answers:
- *                type: array
- *                items:
- *                  type: object
- *                  properties:
- *                    correct:
- *                      type: boolean
- *                      description: True if it is the correct answer.
- *                    content:
- *                      type: string
- *                      description: The answer itself.
- *                description: Array of answers.
+ *              startText:
+ *                type: string
+ *              endText:
+ *                type: string
+ *          description: Texts in other locales keyed by locale, e.g. ru.title. Only visible to admins and editors, learners get the texts in their locale.
+ *        state:
+ *          type: string
+ *          enum: [locked, unlocked, completed]
+ *          description: State of the game for the current user. Only sent when a token is sent.
+ *        questions:
+ *          type: array
+ *          items:
+ *            $ref: '#/components/schemas/Question'
  *          description: Array of questions that user have completed.
  *        date:
  *          type: date
  *          description: The creation date of the game.
+ *        deletedAt:
+ *          type: date
+ *          description: When the game was deleted. Only on deleted games.
+ *    Question:
+ *      type: object
+ *      required:
+ *        - content
+ *      properties:
+ *        _id:
+ *          type: string
+ *          description: Auto generated question id.
+ *        type:
+ *          type: string
+ *          enum: [single, multiple, truefalse, text, ordering, matching]
+ *          description: |
+ *            How the question is answered and graded, single by default.
+ *            - single, truefalse: exactly one correct answer.
+ *            - multiple: select all that apply, wrong picks cancel right ones.
+ *            - text: typed answer compared with every answer, answers are hidden from learners.
+ *            - ordering: answers are stored in the right order and shown shuffled.
+ *            - matching: every answer has a match, learners get the shuffled matches.
+ *        order:
+ *          type: integer
+ *          description: The order in which questions will be displayed.
+ *        content:
+ *          type: string
+ *          description: The question itself.
+ *        translations:
+ *          type: object
+ *          additionalProperties:
+ *            type: object
+ *            properties:
+ *              content:
+ *                type: string
+ *          description: Question content in other locales keyed by locale. Only visible to admins and editors.
+ *        textMatch:
+ *          type: string
+ *          enum: [exact, normalized]
+ *          description: For text questions, normalized ignores case, accents, spaces and punctuation.
+ *        partialCredit:
+ *          type: boolean
+ *          description: For multiple, ordering and matching questions, true by default.
+ *        timeLimit:
+ *          type: integer
+ *          description: Seconds to answer, counted from the previous saved answer or the start. Only answers saved with PUT /games/{game_id}/answers/{question_id} in time count.
+ *        answers:
+ *          type: array
+ *          items:
+ *            $ref: '#/components/schemas/Answer'
+ *          description: Array of answers.
+ *        matches:
+ *          type: array
+ *          items:
+ *            type: string
+ *          description: Shuffled matches of a matching question. Only sent to learners.
+ *    Answer:
+ *      type: object
+ *      required:
+ *        - content
+ *      properties:
+ *        _id:
+ *          type: string
+ *          description: Auto generated answer id.
+ *        correct:
+ *          type: boolean
+ *          description: True if it is the correct answer. Only visible to admins and editors.
+ *        content:
+ *          type: string
+ *          description: The answer itself.
+ *        match:
+ *          type: string
+ *          description: For matching questions, the item this answer pairs with. Only visible to admins and editors.
+ *        translations:
+ *          type: object
+ *          additionalProperties:
+ *            type: object
+ *            properties:
+ *              content:
+ *                type: string
+ *              match:
+ *                type: string
+ *          description: Answer content and match in other locales keyed by locale. Only visible to admins and editors.
  */
 
 /**
  * @swagger
  * /games:
  *  post:
- *    summary: Creates new game.
+ *    summary: Creates new game. Only admins and editors are authorized. Learners don't see it until it is published.
  *    tags: [Games]
  *    parameters:
  *      - in: header
@@ -91,24 +560,35 @@ const auth = require("../middleware/auth.js");
  *                 type: string
  *               order:
  *                 type: integer
+ *               passThreshold:
+ *                 type: integer
+ *               prerequisites:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               unlockByOrder:
+ *                 type: boolean
+ *               questionPool:
+ *                 type: integer
+ *               shuffleQuestions:
+ *                 type: boolean
+ *               shuffleAnswers:
+ *                 type: boolean
+ *               timeLimit:
+ *                 type: integer
+ *               translations:
+ *                 type: object
  *               questions:
  *                 type: array
  *                 items:
- *                   type: object
- *                   properties:
- *                     order:
- *                       type: integer
- *                     content:
- *                       type: string
- *                     answers:
- *                       type: array
- *                       items:
- *                         type: object
- *                         properties:
- *                           correct:
- *                             type: boolean
- *                           content:
- *                             type: string
+ *                   $ref: '#/components/schemas/Question'
+ *               status:
+ *                 type: string
+ *                 enum: [draft, scheduled, published, archived]
+ *                 description: Draft by default, scheduled if only publishAt is sent.
+ *               publishAt:
+ *                 type: string
+ *                 description: ISO 8601 date a scheduled game is published at, must be in the future.
  *    responses:
  *      200:
  *        description: New game created
@@ -116,6 +596,8 @@ const auth = require("../middleware/auth.js");
  *        description: Bad request
  *      401:
  *        description: Not authorized
+ *      403:
+ *        description: Missing role
  *      404:
  *        description: Game not found
  *      500:
@@ -123,75 +605,311 @@ const auth = require("../middleware/auth.js");
  */
 router.post(
   "/",
-  [auth, [check("title", "Title field can't be empty").notEmpty()]],
-  async (req, res) => {
-    // Data validation
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
-
-    try {
-      const admin = await User.findById(req.user.id).select("-password");
-      if (!admin.admin) {
-        return res.status(401).send({
-          msg: "Not authorizend. Only administrators can add new games.",
-        });
-      }
+  [
+    auth,
+    requireRole("editor"),
+    [
+      check("title", "Title field can't be empty").notEmpty(),
+      ...gameChecks,
+      ...statusChecks,
+      check("questions", "Questions must be an array").optional().isArray(),
+      ...questionChecks("questions.*."),
+      questionTypeCheck(check("questions.*")),
+    ],
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    // Distruct request body
+    const {
+      title,
+      icon,
+      order,
+      startText,
+      endText,
+      passThreshold,
+      prerequisites,
+      unlockByOrder,
+      questionPool,
+      shuffleQuestions,
+      shuffleAnswers,
+      timeLimit,
+      translations,
+      questions,
+      status,
+      publishAt,
+    } = req.body;
+    const newGame = new Game({
+      title,
+      icon,
+      order,
+      startText,
+      endText,
+      passThreshold,
+      prerequisites,
+      unlockByOrder,
+      questionPool,
+      shuffleQuestions,
+      shuffleAnswers,
+      timeLimit,
+      translations,
+      questions,
+    });
+    await checkPrerequisites(newGame, prerequisites);
 
-      // Distruct request body
-      const { title, icon, order, startText, endText, questions } = req.body;
-      const newGame = new Game({
-        title,
-        icon,
-        order,
-        startText,
-        endText,
-        questions,
-      });
+    // New games are drafts unless they are published or scheduled right away
+    applyStatus(
+      newGame,
+      status || (publishAt ? "scheduled" : "draft"),
+      publishAt
+    );
 
-      const game = await newGame.save();
-      res.status(200).json(game);
-    } catch (err) {
-      console.error(err.message);
-      res.status(500).send("Server error");
-    }
-  }
+    const game = await newGame.save();
+    await audit(req, "game.create", {
+      target: { type: "game", id: game._id },
+      after: game,
+    });
+    publishGame(game.isVisible() ? "game.published" : "game.updated", game);
+    res.status(200).json(game);
+  })
 );
 
 /**
  * @swagger
  * /games:
  *  get:
- *    summary: Get all games.
+ *    summary: Get a page of games in the locale of the request. Correct answers are hidden. Pagination is returned in the X-Total-Count, X-Page and X-Limit headers. With a token every game has its locked, unlocked or completed state.
+ *    description: Learners only get published games and scheduled ones whose publishAt has passed, without their questions, which come with GET /games/{game_id} or POST /games/{game_id}/start. Admins and editors get every game with its questions and can filter them by status.
+ *    tags: [Games]
+ *    parameters:
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *      - in: query
+ *        name: page
+ *        schema:
+ *          type: integer
+ *      - in: query
+ *        name: limit
+ *        schema:
+ *          type: integer
+ *      - in: query
+ *        name: sort
+ *        schema:
+ *          type: string
+ *          enum: [order, -order, date, -date, title, -title]
+ *      - in: query
+ *        name: q
+ *        schema:
+ *          type: string
+ *        description: Search in game titles.
+ *      - in: query
+ *        name: status
+ *        schema:
+ *          type: string
+ *          enum: [draft, scheduled, published, archived]
+ *        description: Only games with this status. Only for admins and editors.
+ *      - in: query
+ *        name: fields
+ *        schema:
+ *          type: string
+ *        description: Comma separated fields to return, e.g. title,icon,order to skip questions.
+ *      - in: query
+ *        name: lang
+ *        schema:
+ *          type: string
+ *        description: Locale of the texts, wins over the Accept-Language header.
+ *      - in: header
+ *        name: Accept-Language
+ *        schema:
+ *          type: string
+ *    responses:
+ *      200:
+ *        description: Page of games
+ *      400:
+ *        description: Bad request
+ *      500:
+ *        description: Server error
+ */
+router.get(
+  "/",
+  [
+    optionalAuth,
+    listChecks({ sort: GAME_SORTS, fields: GAME_FIELDS }),
+    query("status", `Status must be one of ${Game.STATUSES.join(", ")}`)
+      .optional()
+      .isIn(Game.STATUSES),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const user = req.user && (await User.findById(req.user.id).select("roles"));
+    const editor = Boolean(user && user.hasRole("editor"));
+
+    // Learners only get the games they can see
+    let filter = Game.visibleFilter();
+    if (editor) {
+      filter = req.query.status ? { status: req.query.status } : {};
+    }
+
+    const page = await findPage(Game, req, {
+      filter,
+      search: "title",
+      defaultSort: "-date",
+      include: ["translations"],
+    });
+    setPageHeaders(res, page);
+
+    const games = page.items.map((game) => {
+      // Editors get the full games, like from GET /games/:game_id
+      if (editor) {
+        return game.toObject({ flattenMaps: true });
+      }
+      const item = game.toPublic(req.locale);
+      // Learners get the questions with an attempt only, so the clock of timed
+      // games is running and randomized games don't give away their whole pool
+      delete item.questions;
+      return item;
+    });
+    if (req.user) {
+      // State needs the unlock rules even when they were not selected
+      const rules = await Game.find({
+        _id: { $in: games.map((game) => game._id) },
+      }).select("order prerequisites unlockByOrder");
+      const states = await gameStates(req.user.id, rules);
+      games.forEach((game) => {
+        game.state = states.get(String(game._id)).state;
+      });
+    }
+
+    res.status(200).json(games);
+  })
+);
+
+/**
+ * @swagger
+ * /games/deleted:
+ *  get:
+ *    summary: Get a page of deleted games that can still be restored. Only admins are authorized. Pagination is returned in the X-Total-Count, X-Page and X-Limit headers.
  *    tags: [Games]
+ *    parameters:
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: query
+ *        name: page
+ *        schema:
+ *          type: integer
+ *      - in: query
+ *        name: limit
+ *        schema:
+ *          type: integer
+ *      - in: query
+ *        name: sort
+ *        schema:
+ *          type: string
+ *          enum: [order, -order, date, -date, title, -title]
+ *      - in: query
+ *        name: q
+ *        schema:
+ *          type: string
+ *        description: Search in game titles.
+ *      - in: query
+ *        name: fields
+ *        schema:
+ *          type: string
  *    responses:
  *      200:
- *        description: User authorized
+ *        description: Page of deleted games, newest deletion first by default
  *      400:
  *        description: Bad request
  *      401:
  *        description: Not authorized
- *      404:
- *        description: Game not found
+ *      403:
+ *        description: Missing role
  *      500:
  *        description: Server error
  */
-router.get("/", async (req, res) => {
-  try {
-    const game = await Game.find().sort({ date: -1 });
-    res.status(200).json(game);
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server error");
-  }
-});
+router.get(
+  "/deleted",
+  [
+    auth,
+    requireRole("admin"),
+    listChecks({ sort: GAME_SORTS, fields: GAME_FIELDS }),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const page = await findPage(Game, req, {
+      filter: { deletedAt: { $ne: null } },
+      search: "title",
+      defaultSort: "-deletedAt",
+      include: ["deletedAt", "deletedBy"],
+    });
+    setPageHeaders(res, page);
+
+    res.status(200).json(page.items);
+  })
+);
+
+/**
+ * @swagger
+ * /games/translations/missing:
+ *  get:
+ *    summary: List the games, questions and answers that have no translation in a locale. Only admins and editors are authorized.
+ *    tags: [Games]
+ *    parameters:
+ *      - in: query
+ *        name: lang
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    responses:
+ *      200:
+ *        description: Games with the untranslated fields of the game, its questions and answers
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      500:
+ *        description: Server error
+ */
+router.get(
+  "/translations/missing",
+  [
+    auth,
+    requireRole("editor"),
+    query("lang", `Lang must be one of ${LOCALES.join(", ")}`).isIn(LOCALES),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    // The default locale is the untranslated text itself
+    if (req.query.lang === DEFAULT_LOCALE) {
+      return res.status(200).json([]);
+    }
+
+    const games = await Game.find().sort({ order: 1 });
+    const missing = games
+      .map((game) => game.missingTranslations(req.query.lang))
+      .filter(Boolean);
+
+    res.status(200).json(missing);
+  })
+);
 
 /**
  * @swagger
  * /games/{game_id}:
  *  get:
- *    summary: Get game by id.
+ *    summary: Get game by id. Correct answers and translations are visible only to admins and editors, learners get the texts in their locale. Locked games are refused and games that aren't published are not found.
+ *    description: Learners get the questions and answer order drawn for their open attempt, as they were in the version of the game the attempt was started on. Learners start an attempt on the first request, so they must be verified unless unverified play is allowed, and the same draw is shown until it is submitted and its duration is measured from then.
  *    tags: [Games]
  *    parameters:
  *      - in: path
@@ -204,6 +922,15 @@ router.get("/", async (req, res) => {
  *        schema:
  *          type: string
  *        required: true
+ *      - in: query
+ *        name: lang
+ *        schema:
+ *          type: string
+ *        description: Locale of the texts, wins over the Accept-Language header.
+ *      - in: header
+ *        name: Accept-Language
+ *        schema:
+ *          type: string
  *    responses:
  *      200:
  *        description: Game successfuly optained
@@ -211,35 +938,53 @@ router.get("/", async (req, res) => {
  *        description: Bad request
  *      401:
  *        description: Not authorized
+ *      403:
+ *        description: Email not verified, or the game is locked and requires lists the games to complete first
  *      404:
  *        description: Game not found
  *      500:
  *        description: Server error
  */
-router.get("/:game_id", auth, async (req, res) => {
-  try {
+router.get(
+  "/:game_id",
+  auth,
+  verifiedLearner,
+  asyncHandler(async (req, res) => {
     const game = await Game.findById(req.params.game_id);
+    const user = await User.findById(req.user.id).select("-password");
+    const editor = Boolean(user && user.hasRole("editor"));
 
-    if (!game) {
-      return res.status(404).json({ msg: "Game not found" });
+    if (!game || !(editor || game.isVisible())) {
+      throw new ApiError(404, "Game not found");
     }
 
-    res.status(200).json(game);
-  } catch (err) {
-    if (err.kind === "ObjectId") {
-      return res.status(404).json({ msg: "Game not found" });
+    const state = await unlockedState(req.user.id, game);
+
+    if (editor) {
+      return res
+        .status(200)
+        .json({ ...game.toObject({ flattenMaps: true }), state });
     }
 
-    console.error(err.message);
-    res.status(500).send("Server error");
-  }
-});
+    // Opening the game starts the attempt, so its duration is measured from
+    // here, a varying draw is kept and the clock of timed games is running
+    const attempt = await currentAttempt(req.user.id, game);
+    if (attempt.isNew) {
+      await attempt.save();
+    }
+    // An attempt started before the game changed keeps its version
+    const played = await gameAtVersion(game, attempt.version);
+    res
+      .status(200)
+      .json({ ...played.toPublic(req.locale, attempt.selection), state });
+  })
+);
 
 /**
  * @swagger
- * /games/complete/{game_id}:
- *  put:
- *    summary: Complete game by id. Game will be added to current user completed games list.
+ * /games/{game_id}/start:
+ *  post:
+ *    summary: Start an attempt of the game. Answers can be saved one by one while playing, the attempt is finished by submitting answers. Timed games return the deadline of the attempt.
  *    tags: [Games]
  *    parameters:
  *      - in: path
@@ -254,51 +999,42 @@ router.get("/:game_id", auth, async (req, res) => {
  *        required: true
  *    responses:
  *      200:
- *        description: Game successfuly completed
+ *        description: Attempt started, game has the questions drawn for it
  *      400:
  *        description: Bad request
  *      401:
  *        description: Not authorized
+ *      403:
+ *        description: Email not verified or game locked
  *      404:
  *        description: Game not found
  *      500:
  *        description: Server error
  */
-router.put("/complete/:game_id", auth, async (req, res) => {
-  try {
-    const user = await User.findById(req.user.id);
-    const game = await Game.findById(req.params.game_id);
-
-    if (!game) {
-      return res.status(404).json({ msg: "Game not found" });
-    }
-
-    if (
-      user.games.every((element) => {
-        element.game != req.params.game_id;
-      })
-    ) {
-      user.games.push({ game: req.params.game_id });
-    }
+router.post(
+  "/:game_id/start",
+  auth,
+  verified,
+  asyncHandler(async (req, res) => {
+    const game = await playableGame(req.params.game_id);
 
-    await user.save();
+    await unlockedState(req.user.id, game);
 
-    return res.json(user);
-  } catch (err) {
-    if (err.kind === "ObjectId") {
-      return res.status(404).json({ msg: "Game not found" });
-    }
+    const attempt = newAttempt(req.user.id, game);
+    await attempt.save();
 
-    console.error(err.message);
-    res.status(500).send("Server error");
-  }
-});
+    res.status(200).json({
+      ...attempt.toObject(),
+      game: game.toPublic(req.locale, attempt.selection),
+    });
+  })
+);
 
 /**
  * @swagger
- * /games/{game_id}:
- *  delete:
- *    summary: Delete game by id. Only admins are authorized.
+ * /games/{game_id}/attempt:
+ *  get:
+ *    summary: Get the open attempt of the game with the time left, so a reconnecting client can restore its countdown.
  *    tags: [Games]
  *    parameters:
  *      - in: path
@@ -313,42 +1049,1505 @@ router.put("/complete/:game_id", auth, async (req, res) => {
  *        required: true
  *    responses:
  *      200:
- *        description: Game successfuly deleted
- *      400:
- *        description: Bad request
+ *        description: |
+ *          Open attempt.
+ *          - deadline, remaining: end of the attempt and milliseconds left, null for untimed games.
+ *          - expired: true once the deadline and the grace period have passed.
+ *          - answered: ids of the questions with a saved answer.
+ *          - questionStartedAt: start of the clock of the next timed question.
+ *          - serverTime: to correct the client clock.
  *      401:
  *        description: Not authorized
  *      404:
- *        description: User not found
+ *        description: Game not found or no attempt is open
  *      500:
  *        description: Server error
  */
-router.delete("/:game_id", auth, async (req, res) => {
-  try {
-    const game = await Game.findById(req.params.game_id);
-    const admin = await User.findById(req.user.id);
-
-    if (!game) {
-      return res.status(404).json({ msg: "Game not found" });
-    }
+router.get(
+  "/:game_id/attempt",
+  auth,
+  asyncHandler(async (req, res) => {
+    const attempt = await Attempt.findOne({
+      user: req.user.id,
+      game: req.params.game_id,
+      finishedAt: { $exists: false },
+    }).sort({ startedAt: -1 });
 
-    if (admin.admin) {
-      game.delete();
-    } else {
-      return res.status(401).json({ msg: "Not allowed to delete this game" });
+    if (!attempt) {
+      throw new ApiError(404, "No attempt of this game is open");
     }
 
-    res
-      .status(200)
-      .json({ msg: "Game successfully deleted from our platform" });
-  } catch (err) {
-    if (err.kind === "ObjectId") {
-      return res.status(404).json({ msg: "Game not found" });
-    }
+    const now = new Date();
+    res.status(200).json({
+      attempt: attempt.id,
+      startedAt: attempt.startedAt,
+      deadline: attempt.deadline || null,
+      remaining: remaining(attempt.deadline, now),
+      expired: isPast(attempt.deadline, now),
+      answered: attempt.answers.map((item) => item.question),
+      questionStartedAt: questionStartedAt(attempt),
+      serverTime: now,
+    });
+  })
+);
 
-    console.error(err.message);
-    res.status(500).send("Server error");
-  }
-});
+/**
+ * @swagger
+ * /games/{game_id}/answers/{question_id}:
+ *  put:
+ *    summary: Save the answer to one question of the started attempt, a new attempt is started if none is open. Answers aren't graded until the attempt is submitted.
+ *    tags: [Games]
+ *    parameters:
+ *      - in: path
+ *        name: game_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: path
+ *        name: question_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              answer:
+ *                description: Response, its shape depends on the question type, see POST /games/{game_id}/submit.
+ *              timeSpent:
+ *                type: integer
+ *                description: Milliseconds spent on the question. Measured from the previous saved answer or the start if missing. Saving the same question again adds up.
+ *    responses:
+ *      200:
+ *        description: Answer saved. Returns the attempt id, the number of answered questions, the milliseconds left until the deadline and timedOut if the question's time limit had passed, then the answer counts as unanswered.
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Email not verified, game locked or the time is up
+ *      404:
+ *        description: Game or question not found
+ *      409:
+ *        description: Timed questions can't be answered again
+ *      500:
+ *        description: Server error
+ */
+router.put(
+  "/:game_id/answers/:question_id",
+  [
+    auth,
+    verified,
+    [
+      check("answer", "Answer is required").exists({ checkNull: true }),
+      check("timeSpent", "Time spent must be milliseconds")
+        .optional()
+        .isInt({ min: 0 })
+        .toInt(),
+    ],
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const game = await playableGame(req.params.game_id);
+
+    await unlockedState(req.user.id, game);
+
+    // Questions of the version the attempt was started on
+    const attempt = await currentAttempt(req.user.id, game);
+    markUnmeasured(attempt);
+    const played = await gameAtVersion(game, attempt.version);
+    const question = played.questions.id(req.params.question_id);
+    if (!question) {
+      throw new ApiError(404, "Question not found");
+    }
+
+    if (
+      attempt.selection.length &&
+      !attempt.selection.some((entry) => String(entry.question) === question.id)
+    ) {
+      throw new ApiError(400, "The question wasn't drawn for this attempt");
+    }
+
+    const now = new Date();
+    if (isPast(attempt.deadline, now)) {
+      throw new ApiError(403, "Time is up, submit the attempt", {
+        code: "TIME_UP",
+        details: { deadline: attempt.deadline },
+      });
+    }
+
+    const saved = attempt.answers.find(
+      (item) => String(item.question) === question.id
+    );
+    if (saved && question.timeLimit) {
+      throw new ApiError(409, "Timed questions can't be answered again");
+    }
+
+    // Timed questions are measured on the server, late answers count as unanswered
+    const startedAt = questionStartedAt(attempt);
+    const timedOut =
+      Boolean(question.timeLimit) &&
+      isPast(startedAt.getTime() + question.timeLimit * 1000, now);
+    const timeSpent =
+      question.timeLimit || req.body.timeSpent === undefined
+        ? now - startedAt
+        : req.body.timeSpent;
+
+    if (saved) {
+      saved.answer = req.body.answer;
+      saved.answeredAt = now;
+      saved.timeSpent = (saved.timeSpent || 0) + timeSpent;
+    } else {
+      attempt.answers.push({
+        question: question._id,
+        answer: timedOut ? null : req.body.answer,
+        answeredAt: now,
+        timeSpent,
+        timedOut: timedOut || undefined,
+      });
+    }
+
+    await attempt.save();
+    res.status(200).json({
+      attempt: attempt.id,
+      answered: attempt.answers.length,
+      timedOut,
+      remaining: remaining(attempt.deadline, now),
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /games/{game_id}/submit:
+ *  post:
+ *    summary: Submit answers for a game. Answers are graded on the server and the attempt is recorded. The game counts as completed if the pass threshold is met.
+ *    tags: [Games]
+ *    parameters:
+ *      - in: path
+ *        name: game_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              answers:
+ *                type: array
+ *                items:
+ *                  type: object
+ *                  properties:
+ *                    question:
+ *                      type: string
+ *                      description: Id of the question.
+ *                    answer:
+ *                      description: |
+ *                        Response, its shape depends on the question type.
+ *                        - single, truefalse: id of the chosen answer.
+ *                        - multiple: array of chosen answer ids.
+ *                        - text: the typed answer.
+ *                        - ordering: array of all answer ids in the chosen order.
+ *                        - matching: array of { answer, match } pairs.
+ *                    timeSpent:
+ *                      type: integer
+ *                      description: Milliseconds spent on the question, ignored if the answer was saved while playing.
+ *    responses:
+ *      200:
+ *        description: Answers graded. Returns score, percentage, passed flag, per-question results and the achievements this attempt unlocked. timedOut is true if the deadline had passed, then only answers saved in time are graded.
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Email not verified or game locked
+ *      404:
+ *        description: Game not found
+ *      500:
+ *        description: Server error
+ */
+router.post(
+  "/:game_id/submit",
+  [
+    auth,
+    verified,
+    [
+      check("answers", "Answers must be an array").isArray(),
+      check("answers.*.timeSpent", "Time spent must be milliseconds")
+        .optional()
+        .isInt({ min: 0 })
+        .toInt(),
+    ],
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const game = await playableGame(req.params.game_id);
+
+    await unlockedState(req.user.id, game);
+
+    // Continue the started attempt or record a new one, graded against the
+    // version it was started on
+    const attempt = await currentAttempt(req.user.id, game);
+    markUnmeasured(attempt);
+    const played = await gameAtVersion(game, attempt.version);
+
+    // Late submissions keep only the answers saved in time, and timed
+    // questions only count when saved while playing
+    const timedOut = isPast(attempt.deadline);
+    const timed = new Set(
+      played.questions
+        .filter((question) => question.timeLimit)
+        .map((question) => question.id)
+    );
+
+    // Answers saved while playing fill the questions missing from the submission
+    const saved = new Map(
+      attempt.answers.map((item) => [String(item.question), item])
+    );
+    const sent = new Map(
+      (timedOut ? [] : req.body.answers)
+        .filter((item) => item && item.question)
+        .filter((item) => !timed.has(String(item.question)))
+        .map((item) => [String(item.question), item])
+    );
+    const result = gradeGame(
+      played,
+      [...saved.values(), ...sent.values()],
+      attempt.selection
+    );
+
+    attempt.finishedAt = Date.now();
+    attempt.answers = result.results.map((item) => {
+      const savedItem = saved.get(String(item.question));
+      const sentItem = sent.get(String(item.question));
+      return {
+        ...item,
+        answeredAt: savedItem && savedItem.answeredAt,
+        timeSpent: savedItem
+          ? savedItem.timeSpent
+          : sentItem && sentItem.timeSpent,
+        timedOut: savedItem && savedItem.timedOut,
+      };
+    });
+    attempt.timedOut = timedOut || undefined;
+    attempt.score = result.score;
+    attempt.total = result.total;
+    attempt.percentage = result.percentage;
+    attempt.passed = result.passed;
+    await attempt.save();
+
+    result.attempt = attempt.id;
+    result.timedOut = timedOut;
+    result.achievements = await evaluateAchievements(req.user.id);
+    await publishResult(req.user.id, game, attempt, result.achievements);
+    res.status(200).json(result);
+  })
+);
+
+/**
+ * @swagger
+ * /games/{game_id}/leaderboard:
+ *  get:
+ *    summary: Get the leaderboard of one game. The requesting user's own rank is returned in me when a token is sent.
+ *    tags: [Leaderboard]
+ *    parameters:
+ *      - in: path
+ *        name: game_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *      - in: query
+ *        name: period
+ *        schema:
+ *          type: string
+ *          enum: [all, month, week]
+ *      - in: query
+ *        name: sort
+ *        schema:
+ *          type: string
+ *          enum: [completed, score, time]
+ *      - in: query
+ *        name: page
+ *        schema:
+ *          type: integer
+ *      - in: query
+ *        name: limit
+ *        schema:
+ *          type: integer
+ *    responses:
+ *      200:
+ *        description: Leaderboard page
+ *        content:
+ *          application/json:
+ *            schema:
+ *              $ref: '#/components/schemas/Leaderboard'
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      404:
+ *        description: Game not found
+ *      500:
+ *        description: Server error
+ */
+router.get(
+  "/:game_id/leaderboard",
+  [optionalAuth, leaderboardChecks],
+  validate,
+  asyncHandler(async (req, res) => {
+    const game = await Game.findById(req.params.game_id).select("_id");
+
+    if (!game) {
+      throw new ApiError(404, "Game not found");
+    }
+
+    const { period, sort = "score", page, limit } = req.query;
+    const board = await leaderboard({
+      game: game.id,
+      period,
+      sort,
+      page,
+      limit,
+      userId: req.user && req.user.id,
+    });
+    res.status(200).json(board);
+  })
+);
+
+/**
+ * @swagger
+ * /games/{game_id}/unlocks/{user_id}:
+ *  put:
+ *    summary: Unlock the game for one user regardless of its prerequisites. Only admins are authorized.
+ *    tags: [Games]
+ *    parameters:
+ *      - in: path
+ *        name: game_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: path
+ *        name: user_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    responses:
+ *      200:
+ *        description: Game unlocked for the user
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      404:
+ *        description: Game or user not found
+ *      500:
+ *        description: Server error
+ */
+router.put(
+  "/:game_id/unlocks/:user_id",
+  auth,
+  requireRole("admin"),
+  asyncHandler(async (req, res) => {
+    const game = await Game.findById(req.params.game_id).select("_id");
+    if (!game) {
+      throw new ApiError(404, "Game not found");
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.user_id,
+      { $addToSet: { unlockedGames: game._id } },
+      { new: true }
+    ).select("unlockedGames");
+    if (!user) {
+      throw new ApiError(404, "User not found");
+    }
+
+    res.status(200).json({ msg: "Game unlocked for the user" });
+  })
+);
+
+/**
+ * @swagger
+ * /games/{game_id}/unlocks/{user_id}:
+ *  delete:
+ *    summary: Remove the unlock override of one user, the game follows its prerequisites again. Only admins are authorized.
+ *    tags: [Games]
+ *    parameters:
+ *      - in: path
+ *        name: game_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: path
+ *        name: user_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    responses:
+ *      200:
+ *        description: Override removed
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      404:
+ *        description: User not found
+ *      500:
+ *        description: Server error
+ */
+router.delete(
+  "/:game_id/unlocks/:user_id",
+  auth,
+  requireRole("admin"),
+  asyncHandler(async (req, res) => {
+    const user = await User.findByIdAndUpdate(
+      req.params.user_id,
+      { $pull: { unlockedGames: req.params.game_id } },
+      { new: true }
+    ).select("unlockedGames");
+    if (!user) {
+      throw new ApiError(404, "User not found");
+    }
+
+    res.status(200).json({ msg: "Unlock override removed" });
+  })
+);
+
+/**
+ * @swagger
+ * /games/{game_id}:
+ *  delete:
+ *    summary: Delete game by id. The game is hidden and purged after the retention period, admins can restore it until then. Only admins and editors are authorized.
+ *    tags: [Games]
+ *    parameters:
+ *      - in: path
+ *        name: game_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    responses:
+ *      200:
+ *        description: Game successfuly deleted
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      404:
+ *        description: User not found
+ *      500:
+ *        description: Server error
+ */
+router.delete(
+  "/:game_id",
+  auth,
+  requireRole("editor"),
+  asyncHandler(async (req, res) => {
+    const game = await Game.findById(req.params.game_id);
+
+    if (!game) {
+      throw new ApiError(404, "Game not found");
+    }
+
+    await game.softDelete(req.user.id);
+    await audit(req, "game.delete", {
+      target: { type: "game", id: game._id },
+    });
+    publishGame("game.deleted", game);
+
+    res
+      .status(200)
+      .json({ msg: "Game successfully deleted from our platform" });
+  })
+);
+
+/**
+ * @swagger
+ * /games/{game_id}/restore:
+ *  post:
+ *    summary: Restore a deleted game. Only admins are authorized.
+ *    tags: [Games]
+ *    parameters:
+ *      - in: path
+ *        name: game_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    responses:
+ *      200:
+ *        description: Game restored
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      404:
+ *        description: Deleted game not found
+ *      500:
+ *        description: Server error
+ */
+router.post(
+  "/:game_id/restore",
+  auth,
+  requireRole("admin"),
+  asyncHandler(async (req, res) => {
+    const game = await Game.findOne({
+      _id: req.params.game_id,
+      deletedAt: { $ne: null },
+    });
+
+    if (!game) {
+      throw new ApiError(404, "Deleted game not found");
+    }
+
+    await game.restore();
+    await audit(req, "game.restore", {
+      target: { type: "game", id: game._id },
+    });
+    publishGame(game.isVisible() ? "game.published" : "game.updated", game);
+
+    res.status(200).json(game);
+  })
+);
+
+/**
+ * @swagger
+ * /games/{game_id}/status:
+ *  put:
+ *    summary: Change the status of the game. Only admins and editors are authorized.
+ *    description: |
+ *      - draft: hidden from learners, changes are not versioned.
+ *      - scheduled: published at publishAt, which must be in the future.
+ *      - published: visible to learners, every change records a new version.
+ *      - archived: hidden from learners, attempts and completions are kept.
+ *    tags: [Games]
+ *    parameters:
+ *      - in: path
+ *        name: game_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            required:
+ *              - status
+ *            properties:
+ *              status:
+ *                type: string
+ *                enum: [draft, scheduled, published, archived]
+ *              publishAt:
+ *                type: string
+ *                description: ISO 8601 date, only for scheduled games.
+ *    responses:
+ *      200:
+ *        description: Status changed, returns the game
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      404:
+ *        description: Game not found
+ *      500:
+ *        description: Server error
+ */
+router.put(
+  "/:game_id/status",
+  [
+    auth,
+    requireRole("editor"),
+    [check("status", "Status is required").exists(), ...statusChecks],
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const game = await Game.findById(req.params.game_id);
+
+    if (!game) {
+      throw new ApiError(404, "Game not found");
+    }
+    const before = game.toObject();
+    const wasVisible = game.isVisible();
+
+    applyStatus(game, req.body.status, req.body.publishAt);
+
+    await game.save();
+    await audit(req, "game.status.change", {
+      target: { type: "game", id: game._id },
+      before,
+      after: game,
+    });
+
+    // Learners are told when the game appears or disappears
+    if (game.isVisible() && !wasVisible) {
+      publishGame("game.published", game);
+    } else if (wasVisible && !game.isVisible()) {
+      publish("game.unpublished", { game: game._id, title: game.title });
+    } else {
+      publishGame("game.updated", game);
+    }
+    res.status(200).json(game);
+  })
+);
+
+/**
+ * @swagger
+ * /games/{game_id}:
+ *  patch:
+ *    summary: Update game fields. Only admins and editors are authorized.
+ *    tags: [Games]
+ *    parameters:
+ *      - in: path
+ *        name: game_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *               title:
+ *                 type: string
+ *               icon:
+ *                 type: string
+ *               startText:
+ *                 type: string
+ *               endText:
+ *                 type: string
+ *               order:
+ *                 type: integer
+ *               passThreshold:
+ *                 type: integer
+ *               prerequisites:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               unlockByOrder:
+ *                 type: boolean
+ *               questionPool:
+ *                 type: integer
+ *               shuffleQuestions:
+ *                 type: boolean
+ *               shuffleAnswers:
+ *                 type: boolean
+ *               timeLimit:
+ *                 type: integer
+ *               translations:
+ *                 type: object
+ *                 description: Merged by locale, a null locale removes its translation.
+ *    responses:
+ *      200:
+ *        description: Game successfuly updated
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      404:
+ *        description: Game not found
+ *      500:
+ *        description: Server error
+ */
+router.patch(
+  "/:game_id",
+  [
+    auth,
+    requireRole("editor"),
+    [
+      check("title", "Title field can't be empty").optional().notEmpty(),
+      ...gameChecks,
+    ],
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const game = await Game.findById(req.params.game_id);
+
+    if (!game) {
+      throw new ApiError(404, "Game not found");
+    }
+    const before = game.toObject();
+
+    if (req.body.prerequisites) {
+      await checkPrerequisites(game, req.body.prerequisites);
+    }
+
+    // Only top-level fields, questions have their own routes
+    [
+      "title",
+      "icon",
+      "order",
+      "startText",
+      "endText",
+      "passThreshold",
+      "prerequisites",
+      "unlockByOrder",
+      "questionPool",
+      "shuffleQuestions",
+      "shuffleAnswers",
+      "timeLimit",
+    ]
+      .filter((field) => req.body[field] !== undefined)
+      .forEach((field) => {
+        game[field] = req.body[field];
+      });
+    if (req.body.translations) {
+      mergeTranslations(game, req.body.translations);
+    }
+
+    await game.save();
+    await audit(req, "game.update", {
+      target: { type: "game", id: game._id },
+      before,
+      after: game,
+    });
+    publishGame("game.updated", game);
+    res.status(200).json(game);
+  })
+);
+
+/**
+ * @swagger
+ * /games/{game_id}/questions:
+ *  post:
+ *    summary: Add a question to the game. Only admins and editors are authorized.
+ *    tags: [Games]
+ *    parameters:
+ *      - in: path
+ *        name: game_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            $ref: '#/components/schemas/Question'
+ *    responses:
+ *      200:
+ *        description: Question added, returns the updated game
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      404:
+ *        description: Game not found
+ *      500:
+ *        description: Server error
+ */
+router.post(
+  "/:game_id/questions",
+  [
+    auth,
+    requireRole("editor"),
+    [...questionChecks(), questionTypeCheck(body())],
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const game = await Game.findById(req.params.game_id);
+
+    if (!game) {
+      throw new ApiError(404, "Game not found");
+    }
+    const before = game.toObject();
+
+    // Distruct request body
+    const {
+      type,
+      order,
+      content,
+      translations,
+      textMatch,
+      partialCredit,
+      timeLimit,
+      answers,
+    } = req.body;
+    game.questions.push({
+      type,
+      order: order !== undefined ? order : game.questions.length + 1,
+      content,
+      translations,
+      textMatch,
+      partialCredit,
+      timeLimit,
+      answers,
+    });
+
+    await game.save();
+    await audit(req, "game.update", {
+      target: { type: "game", id: game._id },
+      before,
+      after: game,
+    });
+    publishGame("game.updated", game);
+    res.status(200).json(game);
+  })
+);
+
+/**
+ * @swagger
+ * /games/{game_id}/questions/order:
+ *  put:
+ *    summary: Reorder the questions of the game. Only admins and editors are authorized.
+ *    tags: [Games]
+ *    parameters:
+ *      - in: path
+ *        name: game_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              questions:
+ *                type: array
+ *                items:
+ *                  type: string
+ *                description: All question ids of the game in the new order.
+ *    responses:
+ *      200:
+ *        description: Questions reordered, returns the updated game
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      404:
+ *        description: Game not found
+ *      500:
+ *        description: Server error
+ */
+router.put(
+  "/:game_id/questions/order",
+  [
+    auth,
+    requireRole("editor"),
+    [check("questions", "Questions must be an array").isArray()],
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const game = await Game.findById(req.params.game_id);
+
+    if (!game) {
+      throw new ApiError(404, "Game not found");
+    }
+    const before = game.toObject();
+
+    const questions = reorder(game.questions, req.body.questions);
+    if (!questions) {
+      throw new ApiError(400, "Questions must list every question id once", {
+        code: "VALIDATION_ERROR",
+      });
+    }
+
+    questions.forEach((question, index) => {
+      question.order = index + 1;
+    });
+    game.questions = questions;
+
+    await game.save();
+    await audit(req, "game.update", {
+      target: { type: "game", id: game._id },
+      before,
+      after: game,
+    });
+    publishGame("game.updated", game);
+    res.status(200).json(game);
+  })
+);
+
+/**
+ * @swagger
+ * /games/{game_id}/questions/{question_id}:
+ *  patch:
+ *    summary: Update a question of the game. Only admins and editors are authorized.
+ *    tags: [Games]
+ *    parameters:
+ *      - in: path
+ *        name: game_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: path
+ *        name: question_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              type:
+ *                type: string
+ *              order:
+ *                type: integer
+ *              content:
+ *                type: string
+ *              textMatch:
+ *                type: string
+ *              partialCredit:
+ *                type: boolean
+ *              timeLimit:
+ *                type: integer
+ *              translations:
+ *                type: object
+ *                description: Merged by locale, a null locale removes its translation.
+ *    responses:
+ *      200:
+ *        description: Question updated, returns the updated game
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      404:
+ *        description: Game or question not found
+ *      500:
+ *        description: Server error
+ */
+router.patch(
+  "/:game_id/questions/:question_id",
+  [auth, requireRole("editor"), optional(questionChecks())],
+  validate,
+  asyncHandler(async (req, res) => {
+    const game = await Game.findById(req.params.game_id);
+
+    if (!game) {
+      throw new ApiError(404, "Game not found");
+    }
+    const before = game.toObject();
+
+    const question = game.questions.id(req.params.question_id);
+    if (!question) {
+      throw new ApiError(404, "Question not found");
+    }
+
+    // Answers have their own routes
+    ["type", "order", "content", "textMatch", "partialCredit", "timeLimit"]
+      .filter((field) => req.body[field] !== undefined)
+      .forEach((field) => {
+        question[field] = req.body[field];
+      });
+    if (req.body.translations) {
+      mergeTranslations(question, req.body.translations);
+    }
+
+    const problem = Game.checkQuestion(question);
+    if (problem) {
+      throw new ApiError(400, problem, { code: "VALIDATION_ERROR" });
+    }
+
+    await game.save();
+    await audit(req, "game.update", {
+      target: { type: "game", id: game._id },
+      before,
+      after: game,
+    });
+    publishGame("game.updated", game);
+    res.status(200).json(game);
+  })
+);
+
+/**
+ * @swagger
+ * /games/{game_id}/questions/{question_id}:
+ *  delete:
+ *    summary: Remove a question from the game. Only admins and editors are authorized.
+ *    tags: [Games]
+ *    parameters:
+ *      - in: path
+ *        name: game_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: path
+ *        name: question_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    responses:
+ *      200:
+ *        description: Question removed, returns the updated game
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      404:
+ *        description: Game or question not found
+ *      500:
+ *        description: Server error
+ */
+router.delete(
+  "/:game_id/questions/:question_id",
+  auth,
+  requireRole("editor"),
+  asyncHandler(async (req, res) => {
+    const game = await Game.findById(req.params.game_id);
+
+    if (!game) {
+      throw new ApiError(404, "Game not found");
+    }
+    const before = game.toObject();
+
+    const question = game.questions.id(req.params.question_id);
+    if (!question) {
+      throw new ApiError(404, "Question not found");
+    }
+
+    question.remove();
+
+    await game.save();
+    await audit(req, "game.update", {
+      target: { type: "game", id: game._id },
+      before,
+      after: game,
+    });
+    publishGame("game.updated", game);
+    res.status(200).json(game);
+  })
+);
+
+/**
+ * @swagger
+ * /games/{game_id}/questions/{question_id}/answers:
+ *  post:
+ *    summary: Add an answer to a question. Only admins and editors are authorized.
+ *    tags: [Games]
+ *    parameters:
+ *      - in: path
+ *        name: game_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: path
+ *        name: question_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            $ref: '#/components/schemas/Answer'
+ *    responses:
+ *      200:
+ *        description: Answer added, returns the updated game
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      404:
+ *        description: Game or question not found
+ *      500:
+ *        description: Server error
+ */
+router.post(
+  "/:game_id/questions/:question_id/answers",
+  [auth, requireRole("editor"), answerChecks()],
+  validate,
+  asyncHandler(async (req, res) => {
+    const game = await Game.findById(req.params.game_id);
+
+    if (!game) {
+      throw new ApiError(404, "Game not found");
+    }
+    const before = game.toObject();
+
+    const question = game.questions.id(req.params.question_id);
+    if (!question) {
+      throw new ApiError(404, "Question not found");
+    }
+
+    // Distruct request body
+    const { correct, content, match, translations } = req.body;
+    question.answers.push({ correct, content, match, translations });
+
+    const problem = Game.checkQuestion(question);
+    if (problem) {
+      throw new ApiError(400, problem, { code: "VALIDATION_ERROR" });
+    }
+
+    await game.save();
+    await audit(req, "game.update", {
+      target: { type: "game", id: game._id },
+      before,
+      after: game,
+    });
+    publishGame("game.updated", game);
+    res.status(200).json(game);
+  })
+);
+
+/**
+ * @swagger
+ * /games/{game_id}/questions/{question_id}/answers/order:
+ *  put:
+ *    summary: Reorder the answers of a question. Only admins and editors are authorized.
+ *    tags: [Games]
+ *    parameters:
+ *      - in: path
+ *        name: game_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: path
+ *        name: question_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              answers:
+ *                type: array
+ *                items:
+ *                  type: string
+ *                description: All answer ids of the question in the new order.
+ *    responses:
+ *      200:
+ *        description: Answers reordered, returns the updated game
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      404:
+ *        description: Game or question not found
+ *      500:
+ *        description: Server error
+ */
+router.put(
+  "/:game_id/questions/:question_id/answers/order",
+  [
+    auth,
+    requireRole("editor"),
+    [check("answers", "Answers must be an array").isArray()],
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const game = await Game.findById(req.params.game_id);
+
+    if (!game) {
+      throw new ApiError(404, "Game not found");
+    }
+    const before = game.toObject();
+
+    const question = game.questions.id(req.params.question_id);
+    if (!question) {
+      throw new ApiError(404, "Question not found");
+    }
+
+    const answers = reorder(question.answers, req.body.answers);
+    if (!answers) {
+      throw new ApiError(400, "Answers must list every answer id once", {
+        code: "VALIDATION_ERROR",
+      });
+    }
+    question.answers = answers;
+
+    await game.save();
+    await audit(req, "game.update", {
+      target: { type: "game", id: game._id },
+      before,
+      after: game,
+    });
+    publishGame("game.updated", game);
+    res.status(200).json(game);
+  })
+);
+
+/**
+ * @swagger
+ * /games/{game_id}/questions/{question_id}/answers/{answer_id}:
+ *  patch:
+ *    summary: Update an answer of a question. Translations are merged by locale, a null locale removes its translation. Only admins and editors are authorized.
+ *    tags: [Games]
+ *    parameters:
+ *      - in: path
+ *        name: game_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: path
+ *        name: question_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: path
+ *        name: answer_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            $ref: '#/components/schemas/Answer'
+ *    responses:
+ *      200:
+ *        description: Answer updated, returns the updated game
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      404:
+ *        description: Game, question or answer not found
+ *      500:
+ *        description: Server error
+ */
+router.patch(
+  "/:game_id/questions/:question_id/answers/:answer_id",
+  [auth, requireRole("editor"), optional(answerChecks())],
+  validate,
+  asyncHandler(async (req, res) => {
+    const game = await Game.findById(req.params.game_id);
+
+    if (!game) {
+      throw new ApiError(404, "Game not found");
+    }
+    const before = game.toObject();
+
+    const question = game.questions.id(req.params.question_id);
+    if (!question) {
+      throw new ApiError(404, "Question not found");
+    }
+
+    const answer = question.answers.id(req.params.answer_id);
+    if (!answer) {
+      throw new ApiError(404, "Answer not found");
+    }
+
+    ["correct", "content", "match"]
+      .filter((field) => req.body[field] !== undefined)
+      .forEach((field) => {
+        answer[field] = req.body[field];
+      });
+    if (req.body.translations) {
+      mergeTranslations(answer, req.body.translations);
+    }
+
+    // Picking another correct answer of a one-answer question moves the flag
+    if (
+      req.body.correct === true &&
+      ["single", "truefalse"].includes(question.type)
+    ) {
+      question.answers.forEach((item) => {
+        item.correct = item === answer;
+      });
+    }
+
+    const problem = Game.checkQuestion(question);
+    if (problem) {
+      throw new ApiError(400, problem, { code: "VALIDATION_ERROR" });
+    }
+
+    await game.save();
+    await audit(req, "game.update", {
+      target: { type: "game", id: game._id },
+      before,
+      after: game,
+    });
+    publishGame("game.updated", game);
+    res.status(200).json(game);
+  })
+);
+
+/**
+ * @swagger
+ * /games/{game_id}/questions/{question_id}/answers/{answer_id}:
+ *  delete:
+ *    summary: Remove an answer from a question. Only admins and editors are authorized.
+ *    tags: [Games]
+ *    parameters:
+ *      - in: path
+ *        name: game_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: path
+ *        name: question_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: path
+ *        name: answer_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    responses:
+ *      200:
+ *        description: Answer removed, returns the updated game
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      404:
+ *        description: Game, question or answer not found
+ *      500:
+ *        description: Server error
+ */
+router.delete(
+  "/:game_id/questions/:question_id/answers/:answer_id",
+  auth,
+  requireRole("editor"),
+  asyncHandler(async (req, res) => {
+    const game = await Game.findById(req.params.game_id);
+
+    if (!game) {
+      throw new ApiError(404, "Game not found");
+    }
+    const before = game.toObject();
+
+    const question = game.questions.id(req.params.question_id);
+    if (!question) {
+      throw new ApiError(404, "Question not found");
+    }
+
+    const answer = question.answers.id(req.params.answer_id);
+    if (!answer) {
+      throw new ApiError(404, "Answer not found");
+    }
+
+    answer.remove();
+
+    const problem = Game.checkQuestion(question);
+    if (problem) {
+      throw new ApiError(400, problem, { code: "VALIDATION_ERROR" });
+    }
+
+    await game.save();
+    await audit(req, "game.update", {
+      target: { type: "game", id: game._id },
+      before,
+      after: game,
+    });
+    publishGame("game.updated", game);
+    res.status(200).json(game);
+  })
+);
 
 module.exports = router;
@@ -0,0 +1,50 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+
+// Names of mongoose.connection.readyState values
+const MONGO_STATES = [
+  "disconnected",
+  "connected",
+  "connecting",
+  "disconnecting",
+];
+
+/**
+ * @swagger
+ * /healthz:
+ *  get:
+ *    summary: Liveness probe, answers as long as the process serves requests.
+ *    tags: [Health]
+ *    responses:
+ *      200:
+ *        description: The server is alive
+ */
+router.get("/healthz", (req, res) => {
+  res.status(200).json({ status: "ok" });
+});
+
+/**
+ * @swagger
+ * /readyz:
+ *  get:
+ *    summary: Readiness probe, reports the MongoDB connection state. Not ready while shutting down.
+ *    tags: [Health]
+ *    responses:
+ *      200:
+ *        description: Connected to MongoDB and accepting requests
+ *      503:
+ *        description: Not connected to MongoDB or shutting down
+ */
+router.get("/readyz", (req, res) => {
+  const mongo = MONGO_STATES[mongoose.connection.readyState] || "unknown";
+  const ready = mongo === "connected" && !req.app.get("shuttingDown");
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? "ready" : "not ready",
+    mongo,
+    shuttingDown: Boolean(req.app.get("shuttingDown")),
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,225 @@
+const express = require("express");
+const router = express.Router();
+const { query } = require("express-validator");
+const Game = require("../models/Game.js");
+const auth = require("../middleware/auth.js");
+const requireRole = require("../middleware/requireRole.js");
+const validate = require("../middleware/validate.js");
+const { FORMATS, validateGames } = require("../utils/formats");
+const asyncHandler = require("../utils/asyncHandler.js");
+const { ApiError } = require("../utils/errors.js");
+const { audit } = require("../utils/audit.js");
+const { publishGame } = require("../utils/events.js");
+
+const formatCheck = (required) => {
+  const chain = query(
+    "format",
+    `Format must be one of ${Object.keys(FORMATS).join(", ")}`
+  );
+  return (required ? chain : chain.optional()).isIn(Object.keys(FORMATS));
+};
+
+/**
+ * @swagger
+ * /games/import:
+ *  post:
+ *    summary: Import games from JSON, CSV, GIFT or Moodle XML. Only admins and editors are authorized. Nothing is saved if any game is not valid.
+ *    description: |
+ *      - json: { "games": [...] } with the same fields as POST /games.
+ *      - csv: one row per answer with the columns game, icon, order, start_text, end_text, pass_threshold, question_order, question_type, question, answer, correct, match.
+ *      - gift: every $CATEGORY starts a new game.
+ *      - xml: Moodle XML, every category question starts a new game.
+ *
+ *      Send CSV, GIFT and XML as text/plain, text/csv or application/xml.
+ *    tags: [Games]
+ *    parameters:
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: query
+ *        name: format
+ *        schema:
+ *          type: string
+ *          enum: [json, csv, gift, xml]
+ *        required: true
+ *      - in: query
+ *        name: dryRun
+ *        schema:
+ *          type: boolean
+ *        description: Only validate and report what would be imported.
+ *      - in: query
+ *        name: upsert
+ *        schema:
+ *          type: boolean
+ *        description: Update existing games with the same title instead of creating new ones.
+ *      - in: query
+ *        name: title
+ *        schema:
+ *          type: string
+ *        description: Game title for GIFT and XML questions without a category.
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        text/plain:
+ *          schema:
+ *            type: string
+ *        application/json:
+ *          schema:
+ *            type: object
+ *    responses:
+ *      200:
+ *        description: Games imported, or the dry run report
+ *      400:
+ *        description: Bad request, details have the line and path of every problem
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      500:
+ *        description: Server error
+ */
+router.post(
+  "/import",
+  [
+    auth,
+    requireRole("editor"),
+    express.text({ type: () => true, limit: "5mb" }),
+    [
+      formatCheck(true),
+      query("dryRun").optional().isBoolean().toBoolean(),
+      query("upsert").optional().isBoolean().toBoolean(),
+      query("title").optional().isString(),
+    ],
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { format, dryRun = false, upsert = false, title } = req.query;
+    if (format !== "json" && typeof req.body !== "string") {
+      throw new ApiError(
+        400,
+        `Send ${format} files as text, not ${req.get("content-type")}`
+      );
+    }
+
+    const parsed = FORMATS[format].parse(req.body, { title });
+    const problems = [...parsed.errors, ...validateGames(parsed.games)];
+
+    if (problems.length && !dryRun) {
+      throw new ApiError(400, problems[0].msg, {
+        code: "VALIDATION_ERROR",
+        details: problems,
+      });
+    }
+
+    // Existing games are matched by title when upserting
+    const games = [];
+    for (const data of parsed.games) {
+      const existing = upsert
+        ? await Game.findOne({ title: data.title })
+        : null;
+      const game = existing || new Game();
+      const before = existing && existing.toObject();
+      game.set(data);
+
+      if (!dryRun) {
+        await game.save();
+        await audit(req, existing ? "game.update" : "game.create", {
+          target: { type: "game", id: game._id },
+          before,
+          after: game,
+          meta: { import: format },
+        });
+        publishGame(
+          !existing && game.isVisible() ? "game.published" : "game.updated",
+          game
+        );
+      }
+
+      games.push({
+        _id: dryRun && !existing ? undefined : game._id,
+        title: game.title,
+        questions: game.questions.length,
+        action: existing ? "updated" : "created",
+      });
+    }
+
+    res.status(200).json({
+      dryRun,
+      created: games.filter((game) => game.action === "created").length,
+      updated: games.filter((game) => game.action === "updated").length,
+      games,
+      errors: problems,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /games/export:
+ *  get:
+ *    summary: Export games as JSON, CSV, GIFT or Moodle XML, including correct answers. Only admins and editors are authorized.
+ *    tags: [Games]
+ *    parameters:
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: query
+ *        name: format
+ *        schema:
+ *          type: string
+ *          enum: [json, csv, gift, xml]
+ *        description: Defaults to json.
+ *      - in: query
+ *        name: ids
+ *        schema:
+ *          type: string
+ *        description: Comma separated game ids, all games if empty.
+ *    responses:
+ *      200:
+ *        description: File with the exported games
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      500:
+ *        description: Server error
+ */
+router.get(
+  "/export",
+  [
+    auth,
+    requireRole("editor"),
+    [
+      formatCheck(false),
+      query("ids", "Ids must be comma separated game ids")
+        .optional()
+        .custom((value) =>
+          String(value)
+            .split(",")
+            .every((id) => /^[0-9a-f]{24}$/i.test(id))
+        ),
+    ],
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const format = FORMATS[req.query.format || "json"];
+    const filter = req.query.ids
+      ? { _id: { $in: req.query.ids.split(",") } }
+      : {};
+    const games = await Game.find(filter).sort({ order: 1, date: 1 }).lean();
+
+    res
+      .status(200)
+      .type(format.contentType)
+      .attachment(`games.${format.extension}`)
+      .send(format.serialize(games));
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,116 @@
+const express = require("express");
+const router = express.Router();
+const optionalAuth = require("../middleware/optionalAuth.js");
+const validate = require("../middleware/validate.js");
+const { leaderboardChecks, leaderboard } = require("../utils/leaderboard.js");
+const asyncHandler = require("../utils/asyncHandler.js");
+
+/**
+ * @swagger
+ * components:
+ *  schemas:
+ *    Leaderboard:
+ *      type: object
+ *      properties:
+ *        period:
+ *          type: string
+ *          description: Time window, one of all, month or week.
+ *        sort:
+ *          type: string
+ *          description: Ranking metric, one of completed, score or time.
+ *        page:
+ *          type: integer
+ *        limit:
+ *          type: integer
+ *        total:
+ *          type: integer
+ *          description: Number of ranked users.
+ *        results:
+ *          type: array
+ *          items:
+ *            $ref: '#/components/schemas/LeaderboardEntry'
+ *        me:
+ *          $ref: '#/components/schemas/LeaderboardEntry'
+ *    LeaderboardEntry:
+ *      type: object
+ *      properties:
+ *        rank:
+ *          type: integer
+ *        user:
+ *          type: string
+ *          description: User id.
+ *        displayName:
+ *          type: string
+ *          description: Public name of the user, emails are never shown.
+ *        completed:
+ *          type: integer
+ *          description: Number of games passed.
+ *        totalScore:
+ *          type: integer
+ *          description: Sum of the best scores in every game.
+ *        fastestTime:
+ *          type: integer
+ *          description: Average fastest passing time per game in milliseconds. Only attempts whose game was opened or started before answering are timed.
+ */
+
+/**
+ * @swagger
+ * /leaderboard:
+ *  get:
+ *    summary: Get the global leaderboard. The requesting user's own rank is returned in me when a token is sent.
+ *    tags: [Leaderboard]
+ *    parameters:
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *      - in: query
+ *        name: period
+ *        schema:
+ *          type: string
+ *          enum: [all, month, week]
+ *      - in: query
+ *        name: sort
+ *        schema:
+ *          type: string
+ *          enum: [completed, score, time]
+ *      - in: query
+ *        name: page
+ *        schema:
+ *          type: integer
+ *      - in: query
+ *        name: limit
+ *        schema:
+ *          type: integer
+ *    responses:
+ *      200:
+ *        description: Leaderboard page
+ *        content:
+ *          application/json:
+ *            schema:
+ *              $ref: '#/components/schemas/Leaderboard'
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      500:
+ *        description: Server error
+ */
+router.get(
+  "/",
+  [optionalAuth, leaderboardChecks],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { period, sort, page, limit } = req.query;
+    const board = await leaderboard({
+      period,
+      sort,
+      page,
+      limit,
+      userId: req.user && req.user.id,
+    });
+    res.status(200).json(board);
+  })
+);
+
+module.exports = router;
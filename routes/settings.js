@@ -0,0 +1,119 @@
+const express = require("express");
+const router = express.Router();
+const { check } = require("express-validator");
+const Setting = require("../models/Setting.js");
+const auth = require("../middleware/auth.js");
+const requireRole = require("../middleware/requireRole.js");
+const validate = require("../middleware/validate.js");
+const asyncHandler = require("../utils/asyncHandler.js");
+const { audit } = require("../utils/audit.js");
+
+/**
+ * @swagger
+ * components:
+ *  schemas:
+ *    Settings:
+ *      type: object
+ *      properties:
+ *        allowUnverifiedPlay:
+ *          type: boolean
+ *          description: True if users who didn't verify their email may play games.
+ */
+
+/**
+ * @swagger
+ * /settings:
+ *  get:
+ *    summary: Get platform settings. Only admins are authorized.
+ *    tags: [Settings]
+ *    parameters:
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    responses:
+ *      200:
+ *        description: Current settings
+ *        content:
+ *          application/json:
+ *            schema:
+ *              $ref: '#/components/schemas/Settings'
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      500:
+ *        description: Server error
+ */
+router.get(
+  "/",
+  auth,
+  requireRole("admin"),
+  asyncHandler(async (req, res) => {
+    res.status(200).json(await Setting.getAll());
+  })
+);
+
+/**
+ * @swagger
+ * /settings:
+ *  patch:
+ *    summary: Update platform settings. Only admins are authorized.
+ *    tags: [Settings]
+ *    parameters:
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            $ref: '#/components/schemas/Settings'
+ *    responses:
+ *      200:
+ *        description: Settings successfuly updated
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      500:
+ *        description: Server error
+ */
+router.patch(
+  "/",
+  [
+    auth,
+    requireRole("admin"),
+    [
+      check("allowUnverifiedPlay", "Allow unverified play must be a boolean")
+        .optional()
+        .isBoolean()
+        .toBoolean(),
+    ],
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const before = await Setting.getAll();
+    for (const key of Object.keys(Setting.DEFAULTS)) {
+      if (req.body[key] !== undefined) {
+        await Setting.put(key, req.body[key]);
+      }
+    }
+
+    const settings = await Setting.getAll();
+    await audit(req, "settings.update", {
+      target: { type: "settings" },
+      before,
+      after: settings,
+    });
+    res.status(200).json(settings);
+  })
+);
+
+module.exports = router;
@@ -1,11 +1,143 @@
 require("dotenv").config();
 const express = require("express");
 const router = express.Router();
-const { check, validationResult } = require("express-validator");
-const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
+const { check, param, query } = require("express-validator");
 const User = require("../models/User.js");
+const Game = require("../models/Game.js");
+const Attempt = require("../models/Attempt.js");
+const Session = require("../models/Session.js");
+const Token = require("../models/Token.js");
+const AuditEvent = require("../models/AuditEvent.js");
+const UserAchievement = require("../models/UserAchievement.js");
+const Classroom = require("../models/Classroom.js");
 const auth = require("../middleware/auth.js");
+const requireRole = require("../middleware/requireRole.js");
+const validate = require("../middleware/validate.js");
+const rateLimit = require("../middleware/rateLimit.js");
+const { issueTokens, refreshTokens } = require("../utils/tokens.js");
+const {
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+} = require("../utils/password.js");
+const {
+  lockedUntil,
+  recordFailure,
+  clearFailures,
+} = require("../utils/lockout.js");
+const { secondsUntil } = require("../utils/rateLimit.js");
+const { audit } = require("../utils/audit.js");
+const { publish } = require("../utils/events.js");
+const { sendMail } = require("../utils/mail.js");
+const { listChecks, findPage, setPageHeaders } = require("../utils/list.js");
+const asyncHandler = require("../utils/asyncHandler.js");
+const { ApiError } = require("../utils/errors.js");
+
+// Sorting and projection allowed on the users list, games is derived
+const USER_SORTS = ["date", "email"];
+const USER_FIELDS = [
+  "email",
+  "roles",
+  "displayName",
+  "hideFromLeaderboard",
+  "emailVerified",
+  "date",
+  "games",
+];
+
+// Front-end address used in email links
+const APP_URL = process.env.APP_URL || "http://localhost:8080";
+
+// Tells the user's open event streams which fields changed
+const publishUpdate = (user, changed) =>
+  publish("user.updated", { user: user._id, changed }, { users: [user._id] });
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Requests per IP in the signup and login windows
+const SIGNUP_RATE_LIMIT = Number(process.env.SIGNUP_RATE_LIMIT) || 5;
+const LOGIN_RATE_LIMIT = Number(process.env.LOGIN_RATE_LIMIT) || 20;
+
+// Per IP limits of the routes that can be abused without an account
+const signupLimit = rateLimit({
+  name: "signup",
+  windowMs: HOUR,
+  max: SIGNUP_RATE_LIMIT,
+});
+const loginLimit = rateLimit({
+  name: "login",
+  windowMs: 15 * MINUTE,
+  max: LOGIN_RATE_LIMIT,
+});
+const refreshLimit = rateLimit({
+  name: "refresh",
+  windowMs: 15 * MINUTE,
+  max: 60,
+});
+const emailLimit = rateLimit({ name: "email", windowMs: HOUR, max: 5 });
+const tokenLimit = rateLimit({
+  name: "token",
+  windowMs: 15 * MINUTE,
+  max: 20,
+});
+
+// Too many failed logins for the email
+const accountLocked = (until) =>
+  new ApiError(429, "Too many failed logins, try again later", {
+    code: "ACCOUNT_LOCKED",
+    details: { retryAfter: secondsUntil(until) },
+  });
+
+// Emails a link with a fresh email verification token
+async function sendVerificationEmail(user) {
+  const token = await Token.issue(user.id, "emailVerification", 24 * HOUR);
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email",
+    text:
+      `Open this link to verify your email: ${APP_URL}/verify-email?token=${token}\n` +
+      "The link is valid for 24 hours.",
+  });
+}
+
+// Emails a link with a fresh password reset token
+async function sendPasswordResetEmail(user) {
+  const token = await Token.issue(user.id, "passwordReset", HOUR);
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text:
+      `Open this link to choose a new password: ${APP_URL}/reset-password?token=${token}\n` +
+      "The link is valid for 1 hour. If you didn't ask for it, ignore this email.",
+  });
+}
+
+// Emails a confirmation link to the new address of an email change
+async function sendEmailChangeEmail(user, email) {
+  const token = await Token.issue(user.id, "emailChange", 24 * HOUR);
+  await sendMail({
+    to: email,
+    subject: "Confirm your new email",
+    text:
+      `Open this link to use this address for your account: ${APP_URL}/confirm-email?token=${token}\n` +
+      "The link is valid for 24 hours.",
+  });
+}
+
+// Current user with the completed games, shared by GET /users/auth and GET /users/me
+const currentUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select("-password");
+
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  res.status(200).json({
+    ...user.toObject(),
+    games: await Attempt.completedGames(user.id),
+  });
+});
 
 /**
  * @swagger
@@ -26,9 +158,27 @@ const auth = require("../middleware/auth.js");
  *        password:
  *          type: string
  *          description: A password with at least 6 characters.
+ *        emailVerified:
+ *          type: boolean
+ *          description: True if the user confirmed the email address.
+ *        pendingEmail:
+ *          type: string
+ *          description: New email waiting for confirmation, see POST /users/me/email.
+ *        roles:
+ *          type: array
+ *          items:
+ *            type: string
+ *            enum: [admin, editor, teacher, learner]
+ *          description: Roles of the user. Admins can do everything, editors can manage games and teachers their classrooms.
  *        admin:
  *          type: boolean
- *          description: True if user has admin rights.
+ *          description: True if user has the admin role. Read only.
+ *        displayName:
+ *          type: string
+ *          description: Public name shown on leaderboards instead of the email.
+ *        hideFromLeaderboard:
+ *          type: boolean
+ *          description: True if the user opted out of leaderboards.
  *        games:
  *          type: array
  *          items:
@@ -37,7 +187,7 @@ const auth = require("../middleware/auth.js");
  *              _id:
  *                type: string
  *                description: Auto generated game id.
- *          description: An array of games ids that user have completed.
+ *          description: An array of games ids that user have completed. Derived from passed attempts.
  *        date:
  *          type: date
  *          description: The creation date of the user.
@@ -45,7 +195,10 @@ const auth = require("../middleware/auth.js");
  *        _id: cg4312hjkh2k3h4kh
  *        email: user@mail.com
  *        password: 123456
+ *        roles: [learner]
  *        admin: false
+ *        displayName: user
+ *        hideFromLeaderboard: false
  *        games:
  *            _id: jhg34jh123k4g1k2j
  */
@@ -67,80 +220,63 @@ const auth = require("../middleware/auth.js");
  *                type: string
  *              password:
  *                type: string
+ *              displayName:
+ *                type: string
  *    responses:
  *      200:
- *        description: New user created
+ *        description: New user created, returns an access token and a refresh token. A verification email is sent.
  *      400:
  *        description: Bad request
+ *      429:
+ *        description: Too many requests, see the Retry-After header
  *      500:
  *        description: Server error
  */
 router.post(
   "/",
   [
+    signupLimit,
     // Express Validator
     check("email", "Please include a valid email").isEmail(),
     check(
       "password",
       "Please enter a password with 6 or more characters"
     ).isLength({ min: 6 }),
+    check("displayName", "Display name must be at most 32 characters")
+      .optional()
+      .isString()
+      .isLength({ max: 32 }),
   ],
-  async (req, res) => {
-    // Validate data
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
-
+  validate,
+  asyncHandler(async (req, res) => {
     // Distruct request body
-    const { email, password } = req.body;
+    const { email, password, displayName } = req.body;
 
-    try {
-      // Search for existing user in the database
-      let user = await User.findOne({ email });
-      if (user) {
-        return res
-          .status(400)
-          .json({ errors: [{ msg: "User already exists" }] });
-      }
+    // Search for existing user in the database, deleted ones keep their email
+    let user = await User.findOne({ email }).setOptions({ withDeleted: true });
+    if (user) {
+      throw new ApiError(400, "User already exists", { code: "USER_EXISTS" });
+    }
 
-      // Create new user
-      user = new User({
-        email,
-        password,
-        admin: false,
-      });
+    // Create new user
+    user = new User({
+      email,
+      password,
+      displayName,
+    });
 
-      // Hash the password with bcrypt
-      const salt = await bcrypt.genSalt(5);
-      user.password = await bcrypt.hash(password, salt);
+    // Hash the password with bcrypt
+    user.password = await hashPassword(password);
 
-      // Save the user
-      await user.save();
+    // Save the user
+    await user.save();
 
-      // JWT payload
-      const payload = {
-        user: {
-          id: user.id,
-        },
-      };
+    // Registration doesn't fail if the email can't be sent
+    sendVerificationEmail(user).catch((err) => console.error(err.message));
 
-      // Send JWT after registration
-      jwt.sign(
-        payload,
-        process.env.SECRET,
-        { expiresIn: "5d" },
-        (err, token) => {
-          if (err) throw err;
-          res.send({ token });
-        }
-      );
-      //
-    } catch (err) {
-      console.error(err);
-      res.status(500).send("Server error");
-    }
-  }
+    // Send access and refresh tokens after registration
+    res.send(await issueTokens(user, req));
+  })
 );
 
 /**
@@ -167,25 +303,56 @@ router.post(
  *      500:
  *        description: Server error
  */
-router.get("/auth", auth, async (req, res) => {
-  try {
-    const user = await User.findById(req.user.id).select("-password");
-    res.status(200).json(user);
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server Error");
-  }
-});
+router.get("/auth", auth, currentUser);
 
 /**
  * @swagger
- * /users:
+ * /users/me:
  *  get:
- *    summary: Get all users details.
+ *    summary: Get current user details, same as GET /users/auth.
  *    tags: [Users]
+ *    parameters:
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
  *    responses:
  *      200:
- *        description: User authorized
+ *        description: Current user
+ *        content:
+ *          application/json:
+ *            schema:
+ *              $ref: '#/components/schemas/User'
+ *      401:
+ *        description: Not authorized
+ *      404:
+ *        description: User not found
+ *      500:
+ *        description: Server error
+ *  patch:
+ *    summary: Update current user public profile.
+ *    tags: [Users]
+ *    parameters:
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              displayName:
+ *                type: string
+ *              hideFromLeaderboard:
+ *                type: boolean
+ *    responses:
+ *      200:
+ *        description: User successfuly updated
  *      400:
  *        description: Bad request
  *      401:
@@ -195,22 +362,133 @@ router.get("/auth", auth, async (req, res) => {
  *      500:
  *        description: Server error
  */
-router.get("/", async (req, res) => {
-  try {
-    const users = await User.find().select("-password");
-    res.status(200).json(users);
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server Error");
-  }
-});
+router.get("/me", auth, currentUser);
+
+router.patch(
+  "/me",
+  [
+    auth,
+    [
+      check("displayName", "Display name must be at most 32 characters")
+        .optional()
+        .isString()
+        .isLength({ max: 32 }),
+      check("hideFromLeaderboard", "Hide from leaderboard must be a boolean")
+        .optional()
+        .isBoolean(),
+    ],
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id).select("-password");
+
+    if (!user) {
+      throw new ApiError(404, "User not found");
+    }
+
+    const changed = ["displayName", "hideFromLeaderboard"].filter(
+      (field) => req.body[field] !== undefined
+    );
+    changed.forEach((field) => {
+      user[field] = req.body[field];
+    });
+
+    await user.save();
+    publishUpdate(user, changed);
+    res.status(200).json(user);
+  })
+);
 
 /**
  * @swagger
- * /users/auth:
+ * /users/me/password:
+ *  put:
+ *    summary: Change the password of the current user. Every session is logged out, new tokens are returned for this one.
+ *    tags: [Users]
+ *    parameters:
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              currentPassword:
+ *                type: string
+ *              newPassword:
+ *                type: string
+ *    responses:
+ *      200:
+ *        description: Password changed, returns new access and refresh tokens
+ *      400:
+ *        description: Bad request or wrong current password
+ *      401:
+ *        description: Not authorized
+ *      429:
+ *        description: Too many requests, see the Retry-After header
+ *      500:
+ *        description: Server error
+ */
+router.put(
+  "/me/password",
+  [
+    auth,
+    rateLimit({
+      name: "password-change",
+      windowMs: 15 * MINUTE,
+      max: 10,
+      key: (req) => req.user.id,
+    }),
+    [
+      check("currentPassword", "Current password is required").isString(),
+      check(
+        "newPassword",
+        "Please enter a password with 6 or more characters"
+      ).isLength({ min: 6 }),
+    ],
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      throw new ApiError(404, "User not found");
+    }
+
+    if (!(await verifyPassword(req.body.currentPassword, user.password))) {
+      throw new ApiError(400, "Current password is wrong", {
+        code: "INVALID_CREDENTIALS",
+      });
+    }
+
+    // Saving a new password logs out every session
+    user.password = await hashPassword(req.body.newPassword);
+    await user.save();
+    await audit(req, "user.password.change", {
+      target: { type: "user", id: user._id },
+    });
+
+    res.status(200).json(await issueTokens(user, req));
+  })
+);
+
+/**
+ * @swagger
+ * /users/me/email:
  *  post:
- *    summary: Log in the user.
+ *    summary: Ask to change the email of the current user. The new email is used once confirmed through the link sent to it.
  *    tags: [Users]
+ *    parameters:
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
  *    requestBody:
  *      required: true
  *      content:
@@ -222,89 +500,140 @@ router.get("/", async (req, res) => {
  *                type: string
  *              password:
  *                type: string
+ *                description: Current password.
  *    responses:
  *      200:
- *        description: User successfuly logged in
+ *        description: Confirmation link sent to the new email
  *      400:
- *        description: Bad request
+ *        description: Bad request, wrong password or email already used
  *      401:
  *        description: Not authorized
- *      404:
- *        description: User not found
+ *      429:
+ *        description: Too many requests, see the Retry-After header
  *      500:
  *        description: Server error
  */
 router.post(
-  "/auth",
+  "/me/email",
   [
-    // Express Validator
-    check("email", "Please include a valid email").isEmail(),
-    check("password", "Password is required").exists(),
+    auth,
+    rateLimit({
+      name: "email-change",
+      windowMs: HOUR,
+      max: 5,
+      key: (req) => req.user.id,
+    }),
+    [
+      check("email", "Please include a valid email").isEmail(),
+      check("password", "Password is required").isString(),
+    ],
   ],
-  async (req, res) => {
-    // Data validation
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+  validate,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      throw new ApiError(404, "User not found");
     }
 
-    // Distruct request body
-    const { email, password } = req.body;
+    if (!(await verifyPassword(req.body.password, user.password))) {
+      throw new ApiError(400, "Password is wrong", {
+        code: "INVALID_CREDENTIALS",
+      });
+    }
 
-    try {
-      // Search user in the database
-      let user = await User.findOne({ email });
-      if (!user) {
-        return res
-          .status(400)
-          .json({ errors: [{ msg: "Invalid Credentials" }] });
-      }
+    const { email } = req.body;
+    if (email === user.email) {
+      throw new ApiError(400, "This is already your email");
+    }
+    if (await User.exists({ email }, { withDeleted: true })) {
+      throw new ApiError(400, "User already exists", { code: "USER_EXISTS" });
+    }
 
-      // Check if password matches
-      const isMatch = await bcrypt.compare(password, user.password);
-      if (!isMatch) {
-        return res
-          .status(400)
-          .json({ errors: [{ msg: "Invalid Credentials" }] });
-      }
+    // Only the pending email changes, the user keeps logging in with the old one
+    await User.updateOne({ _id: user._id }, { pendingEmail: email });
+    await sendEmailChangeEmail(user, email);
 
-      // JWT payload
-      const payload = {
-        user: {
-          id: user.id,
-        },
-      };
+    res.status(200).json({ msg: "Confirmation email sent to the new email" });
+  })
+);
 
-      // Send JWT
-      jwt.sign(
-        payload,
-        process.env.SECRET,
-        { expiresIn: "5 days" },
-        (err, token) => {
-          if (err) throw err;
-          res.json({ token });
-        }
-      );
-      //
-    } catch (err) {
-      console.error(err.message);
-      res.status(500).send("Server error");
+/**
+ * @swagger
+ * /users/email/change:
+ *  post:
+ *    summary: Confirm an email change with the token sent to the new email.
+ *    tags: [Users]
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              token:
+ *                type: string
+ *    responses:
+ *      200:
+ *        description: Email changed
+ *      400:
+ *        description: Token not valid or expired, or the email was taken meanwhile
+ *      429:
+ *        description: Too many requests, see the Retry-After header
+ *      500:
+ *        description: Server error
+ */
+router.post(
+  "/email/change",
+  [tokenLimit, check("token", "Token is required").isString()],
+  validate,
+  asyncHandler(async (req, res) => {
+    const token = await Token.consume(req.body.token, "emailChange");
+    const user = token && (await User.findById(token.user));
+    if (!user || !user.pendingEmail) {
+      throw new ApiError(400, "Token is not valid or has expired", {
+        code: "INVALID_TOKEN",
+      });
     }
-  }
+
+    const email = user.pendingEmail;
+    if (await User.exists({ email }, { withDeleted: true })) {
+      throw new ApiError(400, "User already exists", { code: "USER_EXISTS" });
+    }
+
+    const before = user.toObject();
+    const oldEmail = user.email;
+    user.email = email;
+    user.pendingEmail = undefined;
+    // The link was opened from the new inbox, so it is verified
+    user.emailVerified = true;
+    await user.save();
+    await audit(req, "user.email.change", {
+      actor: user.id,
+      target: { type: "user", id: user._id },
+      before,
+      after: user,
+    });
+    publishUpdate(user, ["email", "emailVerified"]);
+
+    // Tell the old address, in case the change wasn't wanted
+    sendMail({
+      to: oldEmail,
+      subject: "Your email was changed",
+      text: `The email of your account was changed to ${email}. If you didn't do it, contact us.`,
+    }).catch((err) => console.error(err.message));
+
+    res.status(200).json({ msg: "Email successfully changed" });
+  })
 );
 
 /**
  * @swagger
- * /users/{user_id}:
- *  delete:
- *    summary: Delete user by id. Can be done only by administrator or the user himself.
+ * /users/me/export:
+ *  get:
+ *    summary: Download everything stored about the current user as a JSON file, i.e. the profile, completed games, attempts, achievements, classrooms, sessions and audit events.
  *    tags: [Users]
  *    parameters:
- *      - in: path
- *        name: user_id
- *        schema:
- *          type: string
- *        required: true
  *      - in: header
  *        name: x-auth-token
  *        schema:
@@ -312,9 +641,7 @@ router.post(
  *        required: true
  *    responses:
  *      200:
- *        description: User successfuly deleted
- *      400:
- *        description: Bad request
+ *        description: JSON archive of the user data
  *      401:
  *        description: Not authorized
  *      404:
@@ -322,33 +649,1042 @@ router.post(
  *      500:
  *        description: Server error
  */
-
-router.delete("/:user_id", auth, async (req, res) => {
-  try {
-    const user = await User.findById(req.params.user_id);
-    const admin = await User.findById(req.user.id);
+router.get(
+  "/me/export",
+  auth,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id).select("-password");
 
     if (!user) {
-      return res.status(404).json({ msg: "User not found" });
+      throw new ApiError(404, "User not found");
     }
 
-    if (admin.admin || req.params.user_id == req.user.id) {
-      user.delete();
-    } else {
-      return res.status(401).json({ msg: "Not allowed to delete this user" });
-    }
+    const [
+      completed,
+      attempts,
+      achievements,
+      classrooms,
+      sessions,
+      auditEvents,
+    ] = await Promise.all([
+      Attempt.completedGames(user.id),
+      Attempt.find({ user: user.id }).sort({ startedAt: 1 }).lean(),
+      UserAchievement.find({ user: user.id })
+        .populate("achievement", "title")
+        .lean(),
+      Classroom.find({
+        $or: [{ teacher: user.id }, { learners: user.id }],
+      })
+        .select("name teacher")
+        .lean(),
+      Session.find({ user: user.id }).select("-tokenHash").lean(),
+      AuditEvent.find({
+        $or: [{ actor: user.id }, { "target.id": user.id }],
+      })
+        .sort({ date: 1 })
+        .lean(),
+    ]);
+    const games = await Game.find({
+      _id: { $in: completed.map((item) => item.game) },
+    }).select("title");
+    const titles = new Map(games.map((game) => [game.id, game.title]));
+
+    const archive = {
+      exportedAt: new Date(),
+      profile: user.toObject(),
+      completedGames: completed.map((item) => ({
+        game: item.game,
+        title: titles.get(String(item.game)),
+      })),
+      attempts,
+      achievements: achievements.map((entry) => ({
+        achievement: entry.achievement && entry.achievement._id,
+        title: entry.achievement && entry.achievement.title,
+        unlockedAt: entry.unlockedAt,
+      })),
+      classrooms: classrooms.map((classroom) => ({
+        classroom: classroom._id,
+        name: classroom.name,
+        teacher: String(classroom.teacher) === user.id,
+      })),
+      sessions,
+      auditEvents,
+    };
 
     res
       .status(200)
-      .json({ msg: "User successfully deleted from our platform" });
-  } catch (err) {
-    if (err.kind === "ObjectId") {
-      return res.status(404).json({ msg: "User not found" });
+      .attachment(`user-${user.id}.json`)
+      .type("application/json")
+      .send(JSON.stringify(archive, null, 2));
+  })
+);
+
+/**
+ * @swagger
+ * /users/me/attempts:
+ *  get:
+ *    summary: Get current user attempts history, newest first.
+ *    tags: [Users]
+ *    parameters:
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: query
+ *        name: game
+ *        schema:
+ *          type: string
+ *        description: Only attempts of this game.
+ *    responses:
+ *      200:
+ *        description: List of attempts with answers, score, timestamps and pass flag
+ *      401:
+ *        description: Not authorized
+ *      500:
+ *        description: Server error
+ */
+router.get(
+  "/me/attempts",
+  auth,
+  asyncHandler(async (req, res) => {
+    const filter = { user: req.user.id };
+    if (req.query.game) {
+      filter.game = req.query.game;
     }
 
-    console.error(err.message);
-    res.status(500).send("Server error");
-  }
-});
+    const attempts = await Attempt.find(filter).sort({ startedAt: -1 });
+    res.status(200).json(attempts);
+  })
+);
+
+/**
+ * @swagger
+ * /users/me/progress:
+ *  get:
+ *    summary: Get current user progress per game.
+ *    tags: [Users]
+ *    parameters:
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    responses:
+ *      200:
+ *        description: Best score, attempts count and completion for every game
+ *      401:
+ *        description: Not authorized
+ *      500:
+ *        description: Server error
+ */
+router.get(
+  "/me/progress",
+  auth,
+  asyncHandler(async (req, res) => {
+    const stats = new Map(
+      (await Attempt.progress(req.user.id)).map((item) => [
+        String(item._id),
+        item,
+      ])
+    );
+    // Games learners can see, and hidden ones the user has already played
+    const games = await Game.find({
+      $or: [
+        ...Game.visibleFilter().$or,
+        { _id: { $in: [...stats.values()].map((item) => item._id) } },
+      ],
+    })
+      .select("title translations order")
+      .sort({ order: 1 });
+
+    const progress = games.map((game) => {
+      const item = stats.get(game.id);
+      return {
+        game: game._id,
+        title: game.translated("title", req.locale),
+        order: game.order,
+        attempts: item ? item.attempts : 0,
+        bestScore: item ? item.bestScore : null,
+        bestPercentage: item ? item.bestPercentage : null,
+        completed: item ? item.completed : false,
+        lastAttemptAt: item ? item.lastAttemptAt : null,
+      };
+    });
+
+    res.status(200).json(progress);
+  })
+);
+
+/**
+ * @swagger
+ * /users/me/achievements:
+ *  get:
+ *    summary: Get the achievements the current user unlocked, newest first.
+ *    tags: [Users]
+ *    parameters:
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    responses:
+ *      200:
+ *        description: List of unlocked achievements with unlockedAt
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: array
+ *              items:
+ *                $ref: '#/components/schemas/Achievement'
+ *      401:
+ *        description: Not authorized
+ *      500:
+ *        description: Server error
+ */
+router.get(
+  "/me/achievements",
+  auth,
+  asyncHandler(async (req, res) => {
+    const entries = await UserAchievement.find({ user: req.user.id })
+      .populate("achievement")
+      .sort({ unlockedAt: -1 })
+      .lean();
+    const achievements = entries
+      .filter((entry) => entry.achievement)
+      .map((entry) => ({ ...entry.achievement, unlockedAt: entry.unlockedAt }));
+
+    res.status(200).json(achievements);
+  })
+);
+
+/**
+ * @swagger
+ * /users:
+ *  get:
+ *    summary: Get a page of users. Only admins are authorized. Pagination is returned in the X-Total-Count, X-Page and X-Limit headers.
+ *    tags: [Users]
+ *    parameters:
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: query
+ *        name: page
+ *        schema:
+ *          type: integer
+ *      - in: query
+ *        name: limit
+ *        schema:
+ *          type: integer
+ *      - in: query
+ *        name: sort
+ *        schema:
+ *          type: string
+ *          enum: [date, -date, email, -email]
+ *      - in: query
+ *        name: q
+ *        schema:
+ *          type: string
+ *        description: Search in emails.
+ *      - in: query
+ *        name: role
+ *        schema:
+ *          type: string
+ *          enum: [admin, editor, teacher, learner]
+ *      - in: query
+ *        name: fields
+ *        schema:
+ *          type: string
+ *        description: Comma separated fields to return, e.g. email,roles.
+ *    responses:
+ *      200:
+ *        description: Page of users
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      500:
+ *        description: Server error
+ */
+router.get(
+  "/",
+  [
+    auth,
+    requireRole("admin"),
+    [
+      ...listChecks({ sort: USER_SORTS, fields: USER_FIELDS }),
+      query("role", `Role must be one of ${User.ROLES.join(", ")}`)
+        .optional()
+        .isIn(User.ROLES),
+    ],
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const page = await findPage(User, req, {
+      filter: req.query.role ? { roles: req.query.role } : {},
+      search: "email",
+      defaultSort: "-date",
+      exclude: "-password",
+    });
+    setPageHeaders(res, page);
+
+    // Completed games are derived, skip them when not asked for
+    if (page.fields && !page.fields.includes("games")) {
+      return res.status(200).json(page.items);
+    }
+
+    // Completed games of the page users in one query
+    const completed = await Attempt.aggregate([
+      {
+        $match: {
+          passed: true,
+          user: { $in: page.items.map((user) => user._id) },
+        },
+      },
+      { $group: { _id: "$user", games: { $addToSet: "$game" } } },
+    ]);
+    const games = new Map(
+      completed.map((item) => [
+        String(item._id),
+        item.games.map((game) => ({ game })),
+      ])
+    );
+
+    res.status(200).json(
+      page.items.map((user) => ({
+        ...user.toObject(),
+        games: games.get(user.id) || [],
+      }))
+    );
+  })
+);
+
+/**
+ * @swagger
+ * /users/auth:
+ *  post:
+ *    summary: Log in the user.
+ *    tags: [Users]
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              email:
+ *                type: string
+ *              password:
+ *                type: string
+ *    responses:
+ *      200:
+ *        description: User successfuly logged in, returns an access token and a refresh token
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      404:
+ *        description: User not found
+ *      429:
+ *        description: Too many requests, see the Retry-After header
+ *      500:
+ *        description: Server error
+ */
+router.post(
+  "/auth",
+  [
+    loginLimit,
+    // Express Validator
+    check("email", "Please include a valid email").isEmail(),
+    check("password", "Password is required").isString().notEmpty(),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    // Distruct request body
+    const { email, password } = req.body;
+
+    // Locked accounts don't get to guess
+    const locked = await lockedUntil(email);
+    if (locked) {
+      throw accountLocked(locked);
+    }
+
+    // Search user in the database and check if password matches
+    const user = await User.findOne({ email });
+    if (!user || !(await verifyPassword(password, user.password))) {
+      const until = await recordFailure(email);
+      await audit(req, "user.login.failed", {
+        actor: user && user.id,
+        target: user && { type: "user", id: user._id },
+        meta: { email, locked: Boolean(until) },
+      });
+      if (until) {
+        throw accountLocked(until);
+      }
+      throw new ApiError(400, "Invalid Credentials", {
+        code: "INVALID_CREDENTIALS",
+      });
+    }
+    await clearFailures(email);
+
+    // Upgrade hashes made with a lower cost, updateOne skips the
+    // password change hook that would revoke every session
+    if (needsRehash(user.password)) {
+      await User.updateOne(
+        { _id: user._id },
+        { password: await hashPassword(password) }
+      );
+    }
+
+    await audit(req, "user.login", {
+      actor: user.id,
+      target: { type: "user", id: user._id },
+    });
+
+    // Send access and refresh tokens
+    res.json(await issueTokens(user, req));
+  })
+);
+
+/**
+ * @swagger
+ * /users/auth/refresh:
+ *  post:
+ *    summary: Exchange a refresh token for a new access token. The refresh token is rotated and can be used only once.
+ *    tags: [Users]
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              refreshToken:
+ *                type: string
+ *    responses:
+ *      200:
+ *        description: Returns a new access token and a new refresh token
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Refresh token is not valid
+ *      429:
+ *        description: Too many requests, see the Retry-After header
+ *      500:
+ *        description: Server error
+ */
+router.post(
+  "/auth/refresh",
+  [refreshLimit, check("refreshToken", "Refresh token is required").isString()],
+  validate,
+  asyncHandler(async (req, res) => {
+    const tokens = await refreshTokens(req.body.refreshToken);
+    if (!tokens) {
+      throw new ApiError(401, "Refresh token is not valid", {
+        code: "INVALID_TOKEN",
+      });
+    }
+
+    res.status(200).json(tokens);
+  })
+);
+
+/**
+ * @swagger
+ * /users/auth/logout:
+ *  post:
+ *    summary: Log out the current session. Its access and refresh tokens stop working.
+ *    tags: [Users]
+ *    parameters:
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    responses:
+ *      200:
+ *        description: User successfuly logged out
+ *      401:
+ *        description: Not authorized
+ *      500:
+ *        description: Server error
+ */
+router.post(
+  "/auth/logout",
+  auth,
+  asyncHandler(async (req, res) => {
+    await Session.findByIdAndUpdate(req.sessionId, { revokedAt: Date.now() });
+    res.status(200).json({ msg: "User successfully logged out" });
+  })
+);
+
+/**
+ * @swagger
+ * /users/auth/logout-all:
+ *  post:
+ *    summary: Log out every session of the current user.
+ *    tags: [Users]
+ *    parameters:
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    responses:
+ *      200:
+ *        description: All sessions successfuly logged out
+ *      401:
+ *        description: Not authorized
+ *      500:
+ *        description: Server error
+ */
+router.post(
+  "/auth/logout-all",
+  auth,
+  asyncHandler(async (req, res) => {
+    await Session.revokeAll(req.user.id);
+    res.status(200).json({ msg: "All sessions successfully logged out" });
+  })
+);
+
+/**
+ * @swagger
+ * /users/password/forgot:
+ *  post:
+ *    summary: Send a password reset link by email. Responds the same whether the email exists or not.
+ *    tags: [Users]
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              email:
+ *                type: string
+ *    responses:
+ *      200:
+ *        description: Reset link sent if the user exists
+ *      400:
+ *        description: Bad request
+ *      429:
+ *        description: Too many requests, see the Retry-After header
+ *      500:
+ *        description: Server error
+ */
+router.post(
+  "/password/forgot",
+  [emailLimit, check("email", "Please include a valid email").isEmail()],
+  validate,
+  asyncHandler(async (req, res) => {
+    const user = await User.findOne({ email: req.body.email });
+    if (user) {
+      await sendPasswordResetEmail(user);
+    }
+
+    res
+      .status(200)
+      .json({ msg: "If the email is registered, a reset link was sent" });
+  })
+);
+
+/**
+ * @swagger
+ * /users/password/reset:
+ *  post:
+ *    summary: Set a new password with the token from the reset email. Logs out every session.
+ *    tags: [Users]
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              token:
+ *                type: string
+ *              password:
+ *                type: string
+ *    responses:
+ *      200:
+ *        description: Password successfuly changed
+ *      400:
+ *        description: Bad request or token not valid
+ *      429:
+ *        description: Too many requests, see the Retry-After header
+ *      500:
+ *        description: Server error
+ */
+router.post(
+  "/password/reset",
+  [
+    tokenLimit,
+    check("token", "Token is required").isString(),
+    check(
+      "password",
+      "Please enter a password with 6 or more characters"
+    ).isLength({ min: 6 }),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const token = await Token.consume(req.body.token, "passwordReset");
+    const user = token && (await User.findById(token.user));
+    if (!user) {
+      throw new ApiError(400, "Token is not valid or has expired", {
+        code: "INVALID_TOKEN",
+      });
+    }
+
+    // Hash the password with bcrypt
+    user.password = await hashPassword(req.body.password);
+
+    // The email was received, so it is verified too
+    user.emailVerified = true;
+    await user.save();
+    await audit(req, "user.password.reset", {
+      actor: user.id,
+      target: { type: "user", id: user._id },
+    });
+
+    res.status(200).json({ msg: "Password successfully changed" });
+  })
+);
+
+/**
+ * @swagger
+ * /users/email/verify/request:
+ *  post:
+ *    summary: Send a new verification email to the current user.
+ *    tags: [Users]
+ *    parameters:
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    responses:
+ *      200:
+ *        description: Verification email sent
+ *      400:
+ *        description: Email already verified
+ *      401:
+ *        description: Not authorized
+ *      429:
+ *        description: Too many requests, see the Retry-After header
+ *      500:
+ *        description: Server error
+ */
+router.post(
+  "/email/verify/request",
+  auth,
+  rateLimit({
+    name: "verify-request",
+    windowMs: HOUR,
+    max: 5,
+    key: (req) => req.user.id,
+  }),
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id).select("-password");
+
+    if (!user) {
+      throw new ApiError(404, "User not found");
+    }
+
+    if (user.emailVerified) {
+      throw new ApiError(400, "Email is already verified");
+    }
+
+    await sendVerificationEmail(user);
+    res.status(200).json({ msg: "Verification email sent" });
+  })
+);
+
+/**
+ * @swagger
+ * /users/email/verify:
+ *  post:
+ *    summary: Verify the email with the token from the verification email.
+ *    tags: [Users]
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              token:
+ *                type: string
+ *    responses:
+ *      200:
+ *        description: Email successfuly verified
+ *      400:
+ *        description: Bad request or token not valid
+ *      429:
+ *        description: Too many requests, see the Retry-After header
+ *      500:
+ *        description: Server error
+ */
+router.post(
+  "/email/verify",
+  [tokenLimit, check("token", "Token is required").isString()],
+  validate,
+  asyncHandler(async (req, res) => {
+    const token = await Token.consume(req.body.token, "emailVerification");
+    const user = token && (await User.findById(token.user));
+    if (!user) {
+      throw new ApiError(400, "Token is not valid or has expired", {
+        code: "INVALID_TOKEN",
+      });
+    }
+
+    user.emailVerified = true;
+    await user.save();
+    publishUpdate(user, ["emailVerified"]);
+
+    res.status(200).json({ msg: "Email successfully verified" });
+  })
+);
+
+/**
+ * @swagger
+ * /users/deleted:
+ *  get:
+ *    summary: Get a page of deleted users that can still be restored. Only admins are authorized. Pagination is returned in the X-Total-Count, X-Page and X-Limit headers.
+ *    tags: [Users]
+ *    parameters:
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: query
+ *        name: page
+ *        schema:
+ *          type: integer
+ *      - in: query
+ *        name: limit
+ *        schema:
+ *          type: integer
+ *      - in: query
+ *        name: sort
+ *        schema:
+ *          type: string
+ *          enum: [date, -date, email, -email]
+ *      - in: query
+ *        name: q
+ *        schema:
+ *          type: string
+ *        description: Search in emails.
+ *    responses:
+ *      200:
+ *        description: Page of deleted users, newest deletion first by default
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      500:
+ *        description: Server error
+ */
+router.get(
+  "/deleted",
+  [
+    auth,
+    requireRole("admin"),
+    listChecks({ sort: USER_SORTS, fields: USER_FIELDS }),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const page = await findPage(User, req, {
+      filter: { deletedAt: { $ne: null } },
+      search: "email",
+      defaultSort: "-deletedAt",
+      exclude: "-password",
+    });
+    setPageHeaders(res, page);
+
+    res.status(200).json(page.items);
+  })
+);
+
+/**
+ * @swagger
+ * /users/{user_id}:
+ *  delete:
+ *    summary: Delete user by id. Can be done only by administrator or the user himself. The account is hidden and purged after the retention period, admins can restore it until then. The last admin can't be deleted.
+ *    tags: [Users]
+ *    parameters:
+ *      - in: path
+ *        name: user_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    responses:
+ *      200:
+ *        description: User successfuly deleted
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Only admins may delete other users
+ *      404:
+ *        description: User not found
+ *      500:
+ *        description: Server error
+ */
+
+router.delete(
+  "/:user_id",
+  auth,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.params.user_id);
+    const admin = await User.findById(req.user.id);
+
+    if (!user) {
+      throw new ApiError(404, "User not found");
+    }
+
+    if (
+      (admin && admin.hasRole("admin")) ||
+      req.params.user_id == req.user.id
+    ) {
+      if (
+        user.roles.includes("admin") &&
+        (await User.countDocuments({ roles: "admin" })) <= 1
+      ) {
+        throw new ApiError(400, "Can't delete the last admin", {
+          code: "LAST_ADMIN",
+        });
+      }
+
+      await user.softDelete(req.user.id);
+      await Session.revokeAll(user.id);
+      await audit(req, "user.delete", {
+        target: { type: "user", id: user._id },
+      });
+    } else {
+      throw new ApiError(403, "Not allowed to delete this user");
+    }
+
+    res
+      .status(200)
+      .json({ msg: "User successfully deleted from our platform" });
+  })
+);
+
+/**
+ * @swagger
+ * /users/{user_id}/restore:
+ *  post:
+ *    summary: Restore a deleted user. Only admins are authorized.
+ *    tags: [Users]
+ *    parameters:
+ *      - in: path
+ *        name: user_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    responses:
+ *      200:
+ *        description: User restored
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      404:
+ *        description: Deleted user not found
+ *      500:
+ *        description: Server error
+ */
+router.post(
+  "/:user_id/restore",
+  auth,
+  requireRole("admin"),
+  asyncHandler(async (req, res) => {
+    const user = await User.findOne({
+      _id: req.params.user_id,
+      deletedAt: { $ne: null },
+    }).select("-password");
+
+    if (!user) {
+      throw new ApiError(404, "Deleted user not found");
+    }
+
+    await user.restore();
+    await audit(req, "user.restore", {
+      target: { type: "user", id: user._id },
+    });
+
+    res.status(200).json(user);
+  })
+);
+
+/**
+ * @swagger
+ * /users/{user_id}/roles/{role}:
+ *  put:
+ *    summary: Grant a role to the user. Only admins are authorized.
+ *    tags: [Users]
+ *    parameters:
+ *      - in: path
+ *        name: user_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: path
+ *        name: role
+ *        schema:
+ *          type: string
+ *          enum: [admin, editor, teacher, learner]
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    responses:
+ *      200:
+ *        description: Role granted, returns the updated user
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      404:
+ *        description: User not found
+ *      500:
+ *        description: Server error
+ */
+router.put(
+  "/:user_id/roles/:role",
+  [
+    auth,
+    requireRole("admin"),
+    [
+      param("role", `Role must be one of ${User.ROLES.join(", ")}`).isIn(
+        User.ROLES
+      ),
+    ],
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.params.user_id).select("-password");
+
+    if (!user) {
+      throw new ApiError(404, "User not found");
+    }
+
+    if (!user.roles.includes(req.params.role)) {
+      const before = user.toObject();
+      user.roles.push(req.params.role);
+      await user.save();
+      await audit(req, "user.role.grant", {
+        target: { type: "user", id: user._id },
+        before,
+        after: user,
+      });
+      publishUpdate(user, ["roles"]);
+    }
+
+    res.status(200).json(user);
+  })
+);
+
+/**
+ * @swagger
+ * /users/{user_id}/roles/{role}:
+ *  delete:
+ *    summary: Revoke a role from the user. Only admins are authorized. The last admin can't be demoted.
+ *    tags: [Users]
+ *    parameters:
+ *      - in: path
+ *        name: user_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: path
+ *        name: role
+ *        schema:
+ *          type: string
+ *          enum: [admin, editor, teacher, learner]
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    responses:
+ *      200:
+ *        description: Role revoked, returns the updated user
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      404:
+ *        description: User not found
+ *      500:
+ *        description: Server error
+ */
+router.delete(
+  "/:user_id/roles/:role",
+  [
+    auth,
+    requireRole("admin"),
+    [
+      param("role", `Role must be one of ${User.ROLES.join(", ")}`).isIn(
+        User.ROLES
+      ),
+    ],
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.params.user_id).select("-password");
+
+    if (!user) {
+      throw new ApiError(404, "User not found");
+    }
+
+    if (
+      req.params.role === "admin" &&
+      user.roles.includes("admin") &&
+      (await User.countDocuments({ roles: "admin" })) <= 1
+    ) {
+      throw new ApiError(400, "Can't revoke the role of the last admin", {
+        code: "LAST_ADMIN",
+      });
+    }
+
+    const before = user.toObject();
+    user.roles.pull(req.params.role);
+    await user.save();
+    await audit(req, "user.role.revoke", {
+      target: { type: "user", id: user._id },
+      before,
+      after: user,
+    });
+    publishUpdate(user, ["roles"]);
+
+    res.status(200).json(user);
+  })
+);
 
 module.exports = router;
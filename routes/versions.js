@@ -0,0 +1,348 @@
+const express = require("express");
+const router = express.Router();
+const { param, query } = require("express-validator");
+const Game = require("../models/Game.js");
+const GameVersion = require("../models/GameVersion.js");
+const Attempt = require("../models/Attempt.js");
+const auth = require("../middleware/auth.js");
+const requireRole = require("../middleware/requireRole.js");
+const validate = require("../middleware/validate.js");
+const { diffGames } = require("../utils/versions.js");
+const { publishGame } = require("../utils/events.js");
+const { audit } = require("../utils/audit.js");
+const asyncHandler = require("../utils/asyncHandler.js");
+const { ApiError } = require("../utils/errors.js");
+
+const versionCheck = param("version", "Version must be a positive integer")
+  .isInt({ min: 1 })
+  .toInt();
+
+// Game of the request
+async function findGame(req) {
+  const game = await Game.findById(req.params.game_id);
+  if (!game) {
+    throw new ApiError(404, "Game not found");
+  }
+  return game;
+}
+
+// Recorded version of the game
+async function findVersion(game, version) {
+  const recorded = await GameVersion.findOne({ game: game._id, version });
+  if (!recorded) {
+    throw new ApiError(404, "Version not found");
+  }
+  return recorded;
+}
+
+/**
+ * @swagger
+ * components:
+ *  schemas:
+ *    GameVersion:
+ *      type: object
+ *      properties:
+ *        game:
+ *          type: string
+ *        version:
+ *          type: integer
+ *        date:
+ *          type: date
+ *          description: When the version was recorded.
+ *        snapshot:
+ *          type: object
+ *          description: Title, texts, translations, settings and questions of the game at this version.
+ *    GameDiff:
+ *      type: object
+ *      properties:
+ *        from:
+ *          type: integer
+ *        to:
+ *          type: integer
+ *          description: Null when compared with the current game.
+ *        fields:
+ *          type: array
+ *          items:
+ *            type: object
+ *            properties:
+ *              field:
+ *                type: string
+ *              from: {}
+ *              to: {}
+ *        questions:
+ *          type: object
+ *          properties:
+ *            added:
+ *              type: array
+ *              items:
+ *                $ref: '#/components/schemas/Question'
+ *            removed:
+ *              type: array
+ *              items:
+ *                $ref: '#/components/schemas/Question'
+ *            changed:
+ *              type: array
+ *              items:
+ *                type: object
+ *                properties:
+ *                  question:
+ *                    type: string
+ *                  content:
+ *                    type: string
+ *                  fields:
+ *                    type: array
+ *                    items:
+ *                      type: object
+ *                      properties:
+ *                        field:
+ *                          type: string
+ *                        from: {}
+ *                        to: {}
+ */
+
+/**
+ * @swagger
+ * /games/{game_id}/versions:
+ *  get:
+ *    summary: List the recorded versions of the game, the newest first. Only admins and editors are authorized.
+ *    tags: [Versions]
+ *    parameters:
+ *      - in: path
+ *        name: game_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    responses:
+ *      200:
+ *        description: Versions with their date, title and number of questions, and the attempts played on each
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      404:
+ *        description: Game not found
+ *      500:
+ *        description: Server error
+ */
+router.get(
+  "/:game_id/versions",
+  auth,
+  requireRole("editor"),
+  asyncHandler(async (req, res) => {
+    const game = await findGame(req);
+    const [versions, played] = await Promise.all([
+      GameVersion.find({ game: game._id }).sort({ version: -1 }).lean(),
+      Attempt.aggregate([
+        { $match: { game: game._id } },
+        { $group: { _id: "$version", attempts: { $sum: 1 } } },
+      ]),
+    ]);
+    const attempts = new Map(played.map((item) => [item._id, item.attempts]));
+
+    res.status(200).json(
+      versions.map((item) => ({
+        version: item.version,
+        date: item.date,
+        title: item.snapshot.title,
+        questions: (item.snapshot.questions || []).length,
+        attempts: attempts.get(item.version) || 0,
+        current: item.version === game.version,
+      }))
+    );
+  })
+);
+
+/**
+ * @swagger
+ * /games/{game_id}/versions/{version}:
+ *  get:
+ *    summary: Get one version of the game. Only admins and editors are authorized.
+ *    tags: [Versions]
+ *    parameters:
+ *      - in: path
+ *        name: game_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: path
+ *        name: version
+ *        schema:
+ *          type: integer
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    responses:
+ *      200:
+ *        description: Version of the game
+ *        content:
+ *          application/json:
+ *            schema:
+ *              $ref: '#/components/schemas/GameVersion'
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      404:
+ *        description: Game or version not found
+ *      500:
+ *        description: Server error
+ */
+router.get(
+  "/:game_id/versions/:version",
+  [auth, requireRole("editor"), versionCheck],
+  validate,
+  asyncHandler(async (req, res) => {
+    const game = await findGame(req);
+    const recorded = await findVersion(game, req.params.version);
+
+    res.status(200).json(recorded);
+  })
+);
+
+/**
+ * @swagger
+ * /games/{game_id}/versions/{version}/diff:
+ *  get:
+ *    summary: Compare a version of the game with a later version or the current game. Only admins and editors are authorized.
+ *    tags: [Versions]
+ *    parameters:
+ *      - in: path
+ *        name: game_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: path
+ *        name: version
+ *        schema:
+ *          type: integer
+ *        required: true
+ *      - in: query
+ *        name: to
+ *        schema:
+ *          type: integer
+ *        description: Version to compare with, the current game if empty, e.g. with unpublished changes of a draft.
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    responses:
+ *      200:
+ *        description: Changed fields and the added, removed and changed questions
+ *        content:
+ *          application/json:
+ *            schema:
+ *              $ref: '#/components/schemas/GameDiff'
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      404:
+ *        description: Game or version not found
+ *      500:
+ *        description: Server error
+ */
+router.get(
+  "/:game_id/versions/:version/diff",
+  [
+    auth,
+    requireRole("editor"),
+    versionCheck,
+    query("to", "To must be a positive integer")
+      .optional()
+      .isInt({ min: 1 })
+      .toInt(),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const game = await findGame(req);
+    const from = await findVersion(game, req.params.version);
+    const to = req.query.to
+      ? (await findVersion(game, req.query.to)).snapshot
+      : game.snapshot();
+
+    // Snapshots are compared as stored, with ids as strings
+    const plain = (snapshot) => JSON.parse(JSON.stringify(snapshot));
+    res.status(200).json({
+      from: from.version,
+      to: req.query.to || null,
+      ...diffGames(plain(from.snapshot), plain(to)),
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /games/{game_id}/versions/{version}/rollback:
+ *  post:
+ *    summary: Restore the content of a version. Published games record it as a new version, attempts keep the version they were played on. Only admins are authorized.
+ *    tags: [Versions]
+ *    parameters:
+ *      - in: path
+ *        name: game_id
+ *        schema:
+ *          type: string
+ *        required: true
+ *      - in: path
+ *        name: version
+ *        schema:
+ *          type: integer
+ *        required: true
+ *      - in: header
+ *        name: x-auth-token
+ *        schema:
+ *          type: string
+ *        required: true
+ *    responses:
+ *      200:
+ *        description: Game rolled back, returns the game
+ *      400:
+ *        description: Bad request
+ *      401:
+ *        description: Not authorized
+ *      403:
+ *        description: Missing role
+ *      404:
+ *        description: Game or version not found
+ *      500:
+ *        description: Server error
+ */
+router.post(
+  "/:game_id/versions/:version/rollback",
+  [auth, requireRole("admin"), versionCheck],
+  validate,
+  asyncHandler(async (req, res) => {
+    const game = await findGame(req);
+    const recorded = await findVersion(game, req.params.version);
+    const before = game.toObject();
+
+    // Fields missing from the version were empty at the time
+    Game.VERSIONED_FIELDS.forEach((field) => {
+      game.set(field, recorded.snapshot[field]);
+    });
+
+    await game.save();
+    await audit(req, "game.version.rollback", {
+      target: { type: "game", id: game._id },
+      before,
+      after: game,
+      meta: { version: recorded.version },
+    });
+    publishGame("game.updated", game);
+    res.status(200).json(game);
+  })
+);
+
+module.exports = router;
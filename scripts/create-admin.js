@@ -0,0 +1,37 @@
+// Usage: node scripts/create-admin.js <email> [password] [--restore]
+// Falls back to the ADMIN_EMAIL and ADMIN_PASSWORD environment variables.
+// Deleted users are only made admin with --restore.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { migrateLegacyAdmins, ensureAdmin } = require("../utils/bootstrap.js");
+
+async function createAdmin() {
+  const args = process.argv.slice(2).filter((arg) => arg !== "--restore");
+  const restore = process.argv.includes("--restore");
+  const email = args[0] || process.env.ADMIN_EMAIL;
+  const password = args[1] || process.env.ADMIN_PASSWORD;
+
+  if (!email) {
+    throw new Error(
+      "Usage: node scripts/create-admin.js <email> [password] [--restore]"
+    );
+  }
+
+  await mongoose.connect(process.env.MONGODB, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+    useCreateIndex: true,
+    useFindAndModify: false,
+  });
+
+  await migrateLegacyAdmins();
+  const user = await ensureAdmin(email, password, { restore });
+  console.log(`${user.email} is now an admin`);
+}
+
+createAdmin()
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,24 @@
+// Moves the legacy user.games completion list into passed attempts.
+// The server also runs it on startup.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { migrateCompletedGames } = require("../utils/bootstrap.js");
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+    useCreateIndex: true,
+    useFindAndModify: false,
+  });
+
+  const { users, attempts } = await migrateCompletedGames();
+  console.log(`Migrated ${users} users, created ${attempts} attempts`);
+}
+
+migrate()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,25 @@
+// Permanently removes games and users deleted more than DELETED_RETENTION_DAYS ago
+// Usage: node scripts/purge-deleted.js [retention days]
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { purgeDeleted } = require("../utils/purge.js");
+
+async function purge() {
+  await mongoose.connect(process.env.MONGODB, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+    useCreateIndex: true,
+    useFindAndModify: false,
+  });
+
+  const retentionDays = process.argv[2] ? Number(process.argv[2]) : undefined;
+  const { games, users } = await purgeDeleted({ retentionDays });
+  console.log(`Purged ${games} games and ${users} users`);
+}
+
+purge()
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
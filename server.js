@@ -1,68 +1,117 @@
 /////////////// Server Setup /////////////////
-require("dotenv").config();
-const express = require("express");
-const cors = require("cors");
 const mongoose = require("mongoose");
-const swaggerJsDoc = require("swagger-jsdoc");
-const swaggerUI = require("swagger-ui-express");
+const { createApp } = require("./app");
+const { loadConfig } = require("./utils/config");
+const {
+  migrateLegacyAdmins,
+  migrateCompletedGames,
+  migrateGameStatus,
+  bootstrapAdmin,
+} = require("./utils/bootstrap");
+const { purgeDeleted } = require("./utils/purge");
+const { closeStreams } = require("./utils/events");
+const { PUBLISH_INTERVAL_MS, publishScheduled } = require("./utils/publishing");
 
-// Swagger API
-const options = {
-  definition: {
-    openapi: "3.0.0",
-    info: {
-      title: "HackJustice",
-      version: "1.0.0",
-      description: "A simple Express API for a hackathon project.",
-    },
-    servers: [
-      {
-        url: "http://localhost:3000",
-      },
-    ],
-  },
-  apis: ["./routes/*.js"], // files containing annotations as above
-};
+const HOUR = 60 * 60 * 1000;
 
-const specs = swaggerJsDoc(options);
+async function start() {
+  const config = loadConfig();
 
-// CORS policy
-var corsOptions = {
-  origin: "http://localhost:8080",
-  optionsSuccessStatus: 200, // For legacy browser support
-};
-
-// Express App
-const app = express();
-app.use(cors(corsOptions));
-app.use(express.urlencoded({ extended: true }));
-app.use(express.json({ extended: false }));
-app.use("/api-docs", swaggerUI.serve, swaggerUI.setup(specs));
-
-// Mongoose Connect Database
-try {
-  mongoose.connect(process.env.MONGODB, {
+  // Mongoose Connect Database
+  await mongoose.connect(config.mongodb, {
     useNewUrlParser: true,
     useUnifiedTopology: true,
     useCreateIndex: true,
     useFindAndModify: false,
   });
   console.log("MongoDB Connected...");
-} catch (err) {
-  console.error(err);
-}
 
-// Test Route
-app.get("/", (req, res) => {
-  res.send("Hello World");
-});
+  // Data stored by older versions: admin flags, games without a status and
+  // completions kept on users before attempts were recorded
+  await migrateLegacyAdmins();
+  await migrateGameStatus();
+  const migrated = await migrateCompletedGames();
+  if (migrated.users) {
+    console.log(
+      `Migrated completed games of ${migrated.users} users into ${migrated.attempts} attempts`
+    );
+  }
+
+  // Roles bootstrap, the first admin comes from ADMIN_EMAIL and ADMIN_PASSWORD
+  // while no admin exists
+  if (config.adminEmail) {
+    await bootstrapAdmin(config.adminEmail, config.adminPassword);
+  }
+
+  // Server App Listen
+  const app = createApp(config);
+  const server = app.listen(config.port, () => {
+    console.log(`Server listening at http://localhost:${config.port}`);
+  });
 
-// Define Routes
-app.use("/users", require("./routes/users"));
-app.use("/games", require("./routes/games"));
+  // Deleted games and users are purged once the retention period is over
+  const purge = () =>
+    purgeDeleted({ retentionDays: config.retentionDays })
+      .then(({ games, users }) => {
+        if (games || users) {
+          console.log(`Purged ${games} deleted games and ${users} users`);
+        }
+      })
+      .catch((err) => console.error(err.message));
+  purge();
+  const purgeTimer = setInterval(purge, config.purgeIntervalHours * HOUR);
+
+  // Scheduled games are published once their time has come
+  const publish = () =>
+    publishScheduled()
+      .then((count) => {
+        if (count) {
+          console.log(`Published ${count} scheduled games`);
+        }
+      })
+      .catch((err) => console.error(err.message));
+  publish();
+  const publishTimer = setInterval(publish, PUBLISH_INTERVAL_MS);
+
+  // Stop taking new requests, let the in-flight ones finish, then disconnect
+  let stopping = false;
+  const shutdown = (signal) => {
+    if (stopping) {
+      return;
+    }
+    stopping = true;
+    console.log(`${signal} received, shutting down...`);
+    app.set("shuttingDown", true);
+    clearInterval(purgeTimer);
+    clearInterval(publishTimer);
+
+    // Requests still running after the timeout are dropped
+    setTimeout(() => {
+      console.error("Shutdown timed out, exiting");
+      process.exit(1);
+    }, config.shutdownTimeout).unref();
+
+    server.close(async (err) => {
+      if (err) {
+        console.error(err.message);
+      }
+      await mongoose.connection.close();
+      console.log("Server stopped");
+      process.exit(err ? 1 : 0);
+    });
+    // Keep-alive connections without a request would hold close() open
+    if (server.closeIdleConnections) {
+      server.closeIdleConnections();
+    }
+    // Event streams never finish by themselves
+    closeStreams();
+  };
+
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+  process.on("SIGINT", () => shutdown("SIGINT"));
+}
 
-// Server App Listen
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Server listening at http://localhost:${PORT}`);
+start().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
 });
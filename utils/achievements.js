@@ -0,0 +1,133 @@
+const Achievement = require("../models/Achievement.js");
+const UserAchievement = require("../models/UserAchievement.js");
+const Attempt = require("../models/Attempt.js");
+const Game = require("../models/Game.js");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Most days in a row, counted in UTC, with at least one of the dates
+const longestStreak = (dates) => {
+  const days = [...new Set(dates.map((date) => Math.floor(date / DAY)))].sort(
+    (a, b) => a - b
+  );
+
+  let longest = 0;
+  let current = 0;
+  days.forEach((day, i) => {
+    current = i && day === days[i - 1] + 1 ? current + 1 : 1;
+    longest = Math.max(longest, current);
+  });
+  return longest;
+};
+
+// True if every published game was passed, each one no earlier than the games before it
+const passedInOrder = (games, firstPassed) => {
+  if (!games.length) {
+    return false;
+  }
+
+  let last = 0;
+  return games.every((game) => {
+    const passedAt = firstPassed.get(game.id);
+    if (!passedAt || passedAt < last) {
+      return false;
+    }
+    last = passedAt;
+    return true;
+  });
+};
+
+// Whether the finished attempts of a user meet a rule
+const RULES = {
+  gamesCompleted: (rule, stats) => stats.firstPassed.size >= rule.count,
+  perfectScore: (rule, stats) => stats.perfect.has(String(rule.game)),
+  allInOrder: (rule, stats) => passedInOrder(stats.games, stats.firstPassed),
+  streak: (rule, stats) => stats.streak >= rule.count,
+};
+
+// Everything the rules are checked against, games only when a rule needs them
+async function userStats(userId, { withGames }) {
+  const [attempts, completedGames, games] = await Promise.all([
+    Attempt.find({ user: userId, finishedAt: { $exists: true } })
+      .select("game percentage passed finishedAt")
+      .sort({ finishedAt: 1 }),
+    Attempt.completedGames(userId),
+    withGames
+      ? Game.find(Game.visibleFilter())
+          .select("order")
+          .sort({ order: 1, date: 1 })
+      : [],
+  ]);
+
+  // Deleted games don't count as completed
+  const completed = new Set(completedGames.map((item) => String(item.game)));
+  const firstPassed = new Map();
+  const perfect = new Set();
+  attempts.forEach((attempt) => {
+    const game = String(attempt.game);
+    if (attempt.passed && completed.has(game) && !firstPassed.has(game)) {
+      firstPassed.set(game, attempt.finishedAt.getTime());
+    }
+    if (attempt.percentage === 100) {
+      perfect.add(game);
+    }
+  });
+
+  return {
+    games,
+    firstPassed,
+    perfect,
+    streak: longestStreak(attempts.map((attempt) => attempt.finishedAt)),
+  };
+}
+
+/**
+ * Unlocks the achievements whose rules the user now meets.
+ * Called whenever an attempt is recorded, already unlocked achievements are skipped.
+ * @param {string} userId
+ * @returns {Promise<Object[]>} Newly unlocked achievements with unlockedAt.
+ */
+async function evaluateAchievements(userId) {
+  const [achievements, unlocked] = await Promise.all([
+    Achievement.find(),
+    UserAchievement.distinct("achievement", { user: userId }),
+  ]);
+  const done = new Set(unlocked.map(String));
+  const pending = achievements.filter(
+    (achievement) => !done.has(achievement.id)
+  );
+  if (!pending.length) {
+    return [];
+  }
+
+  const stats = await userStats(userId, {
+    withGames: pending.some(
+      (achievement) => achievement.rule.type === "allInOrder"
+    ),
+  });
+
+  const earned = [];
+  for (const achievement of pending) {
+    const rule = RULES[achievement.rule.type];
+    if (!rule || !rule(achievement.rule, stats)) {
+      continue;
+    }
+
+    try {
+      const entry = await UserAchievement.create({
+        user: userId,
+        achievement: achievement._id,
+      });
+      earned.push({ ...achievement.toObject(), unlockedAt: entry.unlockedAt });
+    } catch (err) {
+      // Unlocked meanwhile by a concurrent attempt
+      if (err.code !== 11000) {
+        throw err;
+      }
+    }
+  }
+
+  return earned;
+}
+
+module.exports = { evaluateAchievements };
@@ -0,0 +1,435 @@
+const mongoose = require("mongoose");
+const Game = require("../models/Game.js");
+const Attempt = require("../models/Attempt.js");
+const { toCsv } = require("./csv.js");
+
+// Unfinished attempts without activity for this long count as abandoned
+const ABANDONED_AFTER = 24 * 60 * 60 * 1000;
+
+// Texts of text questions listed per question, the most frequent first
+const TOP_RESPONSES = 20;
+
+const CHOICE_TYPES = ["single", "multiple", "truefalse"];
+
+const GAME_CSV_COLUMNS = [
+  "game",
+  "order",
+  "started",
+  "finished",
+  "abandoned",
+  "passed",
+  "pass_percent",
+  "average_percentage",
+  "average_time_ms",
+];
+
+const QUESTION_CSV_COLUMNS = [
+  "question_order",
+  "question",
+  "type",
+  "attempts",
+  "answered",
+  "correct_percent",
+  "average_credit",
+  "average_time_ms",
+  "abandoned_here",
+  "answer",
+  "answer_correct",
+  "chosen",
+  "chosen_percent",
+];
+
+const round = (value) =>
+  value === null || value === undefined ? null : Math.round(value * 100) / 100;
+
+const percent = (part, whole) =>
+  whole ? Math.round((part / whole) * 1000) / 10 : null;
+
+// Attempts started in the date range, of one game if given
+const matchAttempts = ({ game, from, to }) => {
+  const match = {};
+  if (game) {
+    match.game = mongoose.Types.ObjectId(String(game));
+  }
+  if (from || to) {
+    match.startedAt = {};
+    if (from) {
+      match.startedAt.$gte = from;
+    }
+    if (to) {
+      match.startedAt.$lte = to;
+    }
+  }
+  return { $match: match };
+};
+
+// 1 for unfinished attempts idle longer than ABANDONED_AFTER, else 0
+const abandonedExpression = () => ({
+  $cond: [
+    {
+      $and: [
+        { $not: [{ $ifNull: ["$finishedAt", false] }] },
+        {
+          $lt: [
+            { $max: ["$startedAt", { $max: "$answers.answeredAt" }] },
+            new Date(Date.now() - ABANDONED_AFTER),
+          ],
+        },
+      ],
+    },
+    1,
+    0,
+  ],
+});
+
+/**
+ * Started, finished, abandoned and passed attempts of every game.
+ * @param {Object} [range]
+ * @param {Date} [range.from] Only attempts started on or after.
+ * @param {Date} [range.to] Only attempts started on or before.
+ * @returns {Promise<Object[]>} One entry per game in game order.
+ */
+async function gamesReport({ from, to } = {}) {
+  const [games, stats] = await Promise.all([
+    Game.find().select("title order").sort({ order: 1, date: 1 }),
+    Attempt.aggregate([
+      matchAttempts({ from, to }),
+      {
+        $group: {
+          _id: "$game",
+          started: { $sum: 1 },
+          finished: {
+            $sum: { $cond: [{ $ifNull: ["$finishedAt", false] }, 1, 0] },
+          },
+          abandoned: { $sum: abandonedExpression() },
+          passed: { $sum: { $cond: ["$passed", 1, 0] } },
+          averagePercentage: { $avg: "$percentage" },
+          // Null for unfinished and unmeasured attempts, which $avg skips
+          averageTime: {
+            $avg: {
+              $cond: [
+                "$unmeasured",
+                null,
+                { $subtract: ["$finishedAt", "$startedAt"] },
+              ],
+            },
+          },
+        },
+      },
+    ]),
+  ]);
+
+  const byGame = new Map(stats.map((item) => [String(item._id), item]));
+  return games.map((game) => {
+    const item = byGame.get(game.id) || {};
+    return {
+      game: game._id,
+      title: game.title,
+      order: game.order,
+      started: item.started || 0,
+      finished: item.finished || 0,
+      abandoned: item.abandoned || 0,
+      passed: item.passed || 0,
+      passRate: percent(item.passed, item.finished),
+      averagePercentage: round(item.averagePercentage),
+      averageTime: round(item.averageTime),
+    };
+  });
+}
+
+/**
+ * Per-question report of one game: correct rate, average credit and time,
+ * how often every answer is chosen and where unfinished attempts were abandoned.
+ * @param {Object} game Game document.
+ * @param {Object} [range] See gamesReport.
+ * @returns {Promise<Object>}
+ */
+async function gameReport(game, { from, to } = {}) {
+  const match = matchAttempts({ game: game._id, from, to });
+  // Questions by order, the ones without one last, as the learner sees them
+  const position = (question) =>
+    question.order != null ? question.order : Infinity;
+  const questions = [...game.questions].sort(
+    (a, b) => position(a) - position(b) || 0
+  );
+  const tracked = questions
+    .filter(
+      (question) =>
+        CHOICE_TYPES.includes(question.type) || question.type === "text"
+    )
+    .map((question) => question._id);
+
+  const [[overview], questionStats, choices, dropOffs] = await Promise.all([
+    Attempt.aggregate([
+      match,
+      {
+        $group: {
+          _id: null,
+          started: { $sum: 1 },
+          finished: {
+            $sum: { $cond: [{ $ifNull: ["$finishedAt", false] }, 1, 0] },
+          },
+          abandoned: { $sum: abandonedExpression() },
+        },
+      },
+    ]),
+    // Graded answers of finished attempts
+    Attempt.aggregate([
+      match,
+      { $match: { finishedAt: { $exists: true } } },
+      { $unwind: "$answers" },
+      {
+        $group: {
+          _id: "$answers.question",
+          attempts: { $sum: 1 },
+          answered: {
+            $sum: {
+              $cond: [
+                { $ne: [{ $ifNull: ["$answers.answer", null] }, null] },
+                1,
+                0,
+              ],
+            },
+          },
+          correct: { $sum: { $cond: ["$answers.correct", 1, 0] } },
+          averageCredit: { $avg: "$answers.credit" },
+          averageTime: { $avg: "$answers.timeSpent" },
+        },
+      },
+    ]),
+    // Chosen answer ids of choice questions and typed texts of text questions
+    Attempt.aggregate([
+      match,
+      { $match: { finishedAt: { $exists: true } } },
+      { $unwind: "$answers" },
+      {
+        $match: {
+          "answers.question": { $in: tracked },
+          "answers.answer": { $ne: null },
+        },
+      },
+      {
+        $project: {
+          question: "$answers.question",
+          choice: {
+            $cond: [
+              { $isArray: "$answers.answer" },
+              "$answers.answer",
+              ["$answers.answer"],
+            ],
+          },
+        },
+      },
+      { $unwind: "$choice" },
+      {
+        $group: {
+          _id: {
+            question: "$question",
+            choice: {
+              $cond: [
+                { $eq: [{ $type: "$choice" }, "string"] },
+                { $trim: { input: { $toLower: "$choice" } } },
+                "$choice",
+              ],
+            },
+          },
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { count: -1 } },
+    ]),
+    // Where abandoned attempts stopped: the question after the last answered
+    // one in the order the attempt was shown, i.e. its selection. Attempts
+    // without a selection had the stored order and are counted by answers.
+    Attempt.aggregate([
+      match,
+      { $match: { finishedAt: { $exists: false } } },
+      {
+        $project: {
+          abandoned: abandonedExpression(),
+          shown: { $ifNull: ["$selection.question", []] },
+          answered: { $ifNull: ["$answers.question", []] },
+        },
+      },
+      { $match: { abandoned: 1 } },
+      {
+        $project: {
+          shown: 1,
+          selected: { $gt: [{ $size: "$shown" }, 0] },
+          position: {
+            $cond: [
+              { $gt: [{ $size: "$shown" }, 0] },
+              {
+                $add: [
+                  {
+                    $ifNull: [
+                      {
+                        $max: {
+                          $map: {
+                            input: "$answered",
+                            as: "question",
+                            in: { $indexOfArray: ["$shown", "$$question"] },
+                          },
+                        },
+                      },
+                      -1,
+                    ],
+                  },
+                  1,
+                ],
+              },
+              { $size: "$answered" },
+            ],
+          },
+        },
+      },
+      {
+        $group: {
+          _id: {
+            selected: "$selected",
+            position: "$position",
+            // Missing once every shown question was answered
+            question: { $arrayElemAt: ["$shown", "$position"] },
+          },
+          count: { $sum: 1 },
+        },
+      },
+    ]),
+  ]);
+
+  const stats = new Map(questionStats.map((item) => [String(item._id), item]));
+  const chosen = new Map();
+  choices.forEach((item) => {
+    const key = String(item._id.question);
+    chosen.set(key, [...(chosen.get(key) || []), item]);
+  });
+  // Keyed by the question the learner stopped at, null after the last one
+  const stoppedAt = new Map();
+  dropOffs.forEach((item) => {
+    const { selected, position, question } = item._id;
+    const stopped = selected
+      ? question
+      : questions[position] && questions[position]._id;
+    const key = stopped ? String(stopped) : null;
+    stoppedAt.set(key, (stoppedAt.get(key) || 0) + item.count);
+  });
+
+  return {
+    game: game._id,
+    title: game.title,
+    from: from || null,
+    to: to || null,
+    started: overview ? overview.started : 0,
+    finished: overview ? overview.finished : 0,
+    abandoned: overview ? overview.abandoned : 0,
+    questions: questions.map((question) => {
+      const item = stats.get(String(question._id)) || {};
+      const picks = chosen.get(String(question._id)) || [];
+      const report = {
+        question: question._id,
+        order: question.order,
+        content: question.content,
+        type: question.type,
+        attempts: item.attempts || 0,
+        answered: item.answered || 0,
+        correctRate: percent(item.correct, item.attempts),
+        averageCredit: round(item.averageCredit),
+        averageTime: round(item.averageTime),
+        abandonedHere: stoppedAt.get(String(question._id)) || 0,
+      };
+
+      if (CHOICE_TYPES.includes(question.type)) {
+        const counts = new Map(
+          picks.map((pick) => [String(pick._id.choice), pick.count])
+        );
+        report.answers = question.answers.map((answer) => ({
+          answer: answer._id,
+          content: answer.content,
+          correct: answer.correct,
+          count: counts.get(String(answer._id)) || 0,
+          rate: percent(counts.get(String(answer._id)) || 0, item.answered),
+        }));
+      } else if (question.type === "text") {
+        report.responses = picks.slice(0, TOP_RESPONSES).map((pick) => ({
+          text: pick._id.choice,
+          count: pick.count,
+          rate: percent(pick.count, item.answered),
+        }));
+      }
+
+      return report;
+    }),
+    // Abandoned after answering every question it was shown but before submitting
+    abandonedBeforeSubmit: stoppedAt.get(null) || 0,
+  };
+}
+
+/**
+ * Writes the games report as CSV with one row per game.
+ * @param {Object[]} report Result of gamesReport.
+ * @returns {string}
+ */
+function gamesReportCsv(report) {
+  return toCsv([
+    GAME_CSV_COLUMNS,
+    ...report.map((game) => [
+      game.title,
+      game.order,
+      game.started,
+      game.finished,
+      game.abandoned,
+      game.passed,
+      game.passRate,
+      game.averagePercentage,
+      game.averageTime,
+    ]),
+  ]);
+}
+
+/**
+ * Writes a game report as CSV with one row per answer or text response,
+ * question columns are repeated on every row.
+ * @param {Object} report Result of gameReport.
+ * @returns {string}
+ */
+function gameReportCsv(report) {
+  const rows = [QUESTION_CSV_COLUMNS];
+
+  report.questions.forEach((question) => {
+    const cells = [
+      question.order,
+      question.content,
+      question.type,
+      question.attempts,
+      question.answered,
+      question.correctRate,
+      question.averageCredit,
+      question.averageTime,
+      question.abandonedHere,
+    ];
+    const options = (question.answers || []).map((answer) => [
+      answer.content,
+      answer.correct ? "true" : "false",
+      answer.count,
+      answer.rate,
+    ]);
+    (question.responses || []).forEach((response) => {
+      options.push([response.text, "", response.count, response.rate]);
+    });
+
+    if (!options.length) {
+      rows.push(cells);
+    }
+    options.forEach((option) => rows.push([...cells, ...option]));
+  });
+
+  return toCsv(rows);
+}
+
+module.exports = {
+  ABANDONED_AFTER,
+  gamesReport,
+  gameReport,
+  gamesReportCsv,
+  gameReportCsv,
+};
@@ -0,0 +1,6 @@
+// Passes rejections of async handlers and middleware to the error middleware
+module.exports = function (handler) {
+  return function (req, res, next) {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+};
@@ -0,0 +1,85 @@
+const AuditEvent = require("../models/AuditEvent.js");
+
+// Never copied into events
+const HIDDEN_FIELDS = ["password", "__v"];
+
+// Plain object of a document without hidden fields. Arrays of subdocuments
+// are keyed by id, so one changed question isn't logged as the whole list.
+const snapshot = (doc) => {
+  if (!doc) {
+    return {};
+  }
+
+  const object = JSON.parse(JSON.stringify(doc));
+  HIDDEN_FIELDS.forEach((field) => delete object[field]);
+  Object.keys(object).forEach((field) => {
+    const value = object[field];
+    if (
+      Array.isArray(value) &&
+      value.length &&
+      value.every((item) => item && item._id)
+    ) {
+      delete object[field];
+      value.forEach((item) => {
+        object[`${field}.${item._id}`] = item;
+      });
+    }
+  });
+  return object;
+};
+
+/**
+ * Keeps the top-level fields that differ between two snapshots.
+ * @param {Object} [before] Document or object before the change.
+ * @param {Object} [after] Document or object after the change.
+ * @returns {{before: Object, after: Object}}
+ */
+function diff(before, after) {
+  const old = snapshot(before);
+  const current = snapshot(after);
+  const changes = { before: {}, after: {} };
+
+  new Set([...Object.keys(old), ...Object.keys(current)]).forEach((field) => {
+    if (JSON.stringify(old[field]) !== JSON.stringify(current[field])) {
+      if (old[field] !== undefined) {
+        changes.before[field] = old[field];
+      }
+      if (current[field] !== undefined) {
+        changes.after[field] = current[field];
+      }
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Appends an audit event. A failure is logged, it never fails the request.
+ * @param {Object|null} req Express request, gives the actor, IP and user agent. Null for background jobs.
+ * @param {string} action One of AuditEvent.ACTIONS.
+ * @param {Object} [options]
+ * @param {string} [options.actor] Acting user id, req.user by default.
+ * @param {{type: string, id: *}} [options.target] What the action was done to.
+ * @param {Object} [options.before] Target before the change.
+ * @param {Object} [options.after] Target after the change.
+ * @param {Object} [options.meta] Extra data.
+ */
+async function audit(req, action, { actor, target, before, after, meta } = {}) {
+  try {
+    const changes = before || after ? diff(before, after) : {};
+    await AuditEvent.create({
+      actor: actor || (req && req.user && req.user.id),
+      action,
+      target: target && { type: target.type, id: target.id },
+      before: changes.before,
+      after: changes.after,
+      meta,
+      ip: req && req.ip,
+      userAgent: req && req.header("user-agent"),
+    });
+  } catch (err) {
+    console.error(`Audit event ${action} not saved: ${err.message}`);
+  }
+}
+
+module.exports = { diff, audit };
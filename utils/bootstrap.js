@@ -0,0 +1,135 @@
+const User = require("../models/User.js");
+const Game = require("../models/Game.js");
+const Attempt = require("../models/Attempt.js");
+const { hashPassword } = require("./password.js");
+const { audit } = require("./audit.js");
+
+// Turns the legacy admin boolean stored in older documents into roles
+async function migrateLegacyAdmins() {
+  await User.collection.updateMany(
+    { admin: true },
+    { $addToSet: { roles: "admin" }, $unset: { admin: "" } }
+  );
+  await User.collection.updateMany(
+    { admin: { $exists: true } },
+    { $addToSet: { roles: "learner" }, $unset: { admin: "" } }
+  );
+}
+
+/**
+ * Moves the legacy user.games completion list into passed attempts.
+ * @returns {Promise<{users: number, attempts: number}>} Migrated users and created attempts.
+ */
+async function migrateCompletedGames() {
+  // The games field is no longer in the schema, so read the raw documents
+  const users = await User.collection
+    .find({ games: { $exists: true } })
+    .toArray();
+
+  let created = 0;
+  for (const user of users) {
+    for (const item of user.games || []) {
+      const exists = await Attempt.exists({
+        user: user._id,
+        game: item.game,
+        passed: true,
+      });
+      if (!exists) {
+        // Legacy completions have no times, the ids tell when the game was
+        // completed and unmeasured keeps them out of time rankings
+        const completedAt = (item._id || user._id).getTimestamp();
+        await Attempt.create({
+          user: user._id,
+          game: item.game,
+          startedAt: completedAt,
+          finishedAt: completedAt,
+          passed: true,
+          unmeasured: true,
+        });
+        created++;
+      }
+    }
+  }
+
+  if (users.length) {
+    await User.collection.updateMany(
+      { games: { $exists: true } },
+      { $unset: { games: "" } }
+    );
+  }
+  return { users: users.length, attempts: created };
+}
+
+// Games from before the publishing workflow stay published, which records
+// their first version
+async function migrateGameStatus() {
+  const games = await Game.find({ status: { $exists: false } }).setOptions({
+    withDeleted: true,
+  });
+  for (const game of games) {
+    game.status = "published";
+    await game.save({ validateBeforeSave: false });
+  }
+}
+
+/**
+ * Grants the admin role to the user with this email, creating the user if needed.
+ * @param {string} email Email of the admin.
+ * @param {string} [password] Password, required only when the user doesn't exist yet.
+ * @param {Object} [options]
+ * @param {boolean} [options.restore] Restores the user if it was deleted, refused otherwise.
+ * @returns {Promise<Object>} The admin user.
+ */
+async function ensureAdmin(email, password, { restore = false } = {}) {
+  let user = await User.findOne({ email }).setOptions({ withDeleted: true });
+
+  if (user && user.deletedAt) {
+    if (!restore) {
+      throw new Error(
+        `User ${email} is deleted, restore it with create-admin --restore`
+      );
+    }
+    await user.restore();
+    await audit(null, "user.restore", {
+      target: { type: "user", id: user._id },
+    });
+  }
+
+  if (!user) {
+    if (!password) {
+      throw new Error(`User ${email} doesn't exist and no password was given`);
+    }
+
+    user = new User({
+      email,
+      password: await hashPassword(password),
+      roles: ["admin"],
+    });
+  } else if (!user.roles.includes("admin")) {
+    user.roles.push("admin");
+  }
+
+  return user.save();
+}
+
+/**
+ * Creates the first admin on startup. Once an admin exists, roles are only
+ * changed through the API or scripts/create-admin.js.
+ * @param {string} email Email of the admin.
+ * @param {string} [password] Password, required only when the user doesn't exist yet.
+ * @returns {Promise<Object|null>} The admin user, null when an admin already exists.
+ */
+async function bootstrapAdmin(email, password) {
+  if (await User.exists({ roles: "admin" })) {
+    return null;
+  }
+  return ensureAdmin(email, password);
+}
+
+module.exports = {
+  migrateLegacyAdmins,
+  migrateCompletedGames,
+  migrateGameStatus,
+  ensureAdmin,
+  bootstrapAdmin,
+};
@@ -0,0 +1,132 @@
+const Game = require("../models/Game.js");
+const User = require("../models/User.js");
+const Attempt = require("../models/Attempt.js");
+const { toCsv } = require("./csv.js");
+
+const CSV_COLUMNS = [
+  "learner",
+  "email",
+  "game",
+  "due_at",
+  "completed",
+  "completed_at",
+  "best_score",
+  "best_percentage",
+  "attempts",
+  "late",
+];
+
+/**
+ * Progress of every learner of a classroom in every assigned game.
+ * @param {Object} classroom Classroom document.
+ * @param {string} [locale] Locale of the game titles.
+ * @returns {Promise<{games: Object[], learners: Object[]}>} Games in assignment order, learners with one cell per game.
+ */
+async function classProgress(classroom, locale) {
+  const gameIds = classroom.assignments.map((assignment) => assignment.game);
+  const [games, learners, stats] = await Promise.all([
+    Game.find({ _id: { $in: gameIds } }).select("title translations"),
+    User.find({ _id: { $in: classroom.learners } })
+      .select("email displayName")
+      .sort({ email: 1 }),
+    Attempt.aggregate([
+      {
+        $match: {
+          user: { $in: classroom.learners },
+          game: { $in: gameIds },
+          finishedAt: { $exists: true },
+        },
+      },
+      {
+        $group: {
+          _id: { user: "$user", game: "$game" },
+          attempts: { $sum: 1 },
+          bestScore: { $max: "$score" },
+          bestPercentage: { $max: "$percentage" },
+          // $min skips the nulls of failed attempts
+          completedAt: {
+            $min: { $cond: ["$passed", "$finishedAt", null] },
+          },
+        },
+      },
+    ]),
+  ]);
+
+  const titles = new Map(
+    games.map((game) => [game.id, game.translated("title", locale)])
+  );
+  const cells = new Map(
+    stats.map((item) => [`${item._id.user}:${item._id.game}`, item])
+  );
+  const now = new Date();
+
+  // Deleted games are left out until they are restored
+  const assigned = classroom.assignments
+    .filter((assignment) => titles.has(String(assignment.game)))
+    .map((assignment) => ({
+      game: assignment.game,
+      title: titles.get(String(assignment.game)),
+      dueAt: assignment.dueAt || null,
+    }));
+
+  return {
+    games: assigned,
+    learners: learners.map((learner) => ({
+      user: learner._id,
+      displayName: learner.displayName,
+      email: learner.email,
+      games: assigned.map((assignment) => {
+        const item = cells.get(`${learner.id}:${assignment.game}`) || {};
+        const completedAt = item.completedAt || null;
+        return {
+          game: assignment.game,
+          completed: Boolean(completedAt),
+          completedAt,
+          bestScore: item.bestScore != null ? item.bestScore : null,
+          bestPercentage:
+            item.bestPercentage != null ? item.bestPercentage : null,
+          attempts: item.attempts || 0,
+          // Passed after the due date, or not passed and the date is gone
+          late: Boolean(
+            assignment.dueAt && (completedAt || now) > assignment.dueAt
+          ),
+        };
+      }),
+    })),
+  };
+}
+
+/**
+ * Writes a progress matrix as CSV with one row per learner and game.
+ * @param {Object} progress Result of classProgress.
+ * @returns {string}
+ */
+function progressCsv(progress) {
+  const date = (value) => (value ? value.toISOString() : "");
+  const titles = new Map(
+    progress.games.map((game) => [String(game.game), game])
+  );
+
+  const rows = [CSV_COLUMNS];
+  progress.learners.forEach((learner) => {
+    learner.games.forEach((cell) => {
+      const game = titles.get(String(cell.game));
+      rows.push([
+        learner.displayName,
+        learner.email,
+        game.title,
+        date(game.dueAt),
+        cell.completed ? "true" : "false",
+        date(cell.completedAt),
+        cell.bestScore,
+        cell.bestPercentage,
+        cell.attempts,
+        cell.late ? "true" : "false",
+      ]);
+    });
+  });
+
+  return toCsv(rows);
+}
+
+module.exports = { classProgress, progressCsv };
@@ -0,0 +1,87 @@
+require("dotenv").config();
+
+/**
+ * Reads and validates the server configuration.
+ * @param {Object} [env] Environment variables, process.env by default.
+ * @returns {Object} Configuration used by createApp and the server entry point.
+ * @throws {Error} Listing every missing or invalid variable.
+ */
+function loadConfig(env = process.env) {
+  const problems = [];
+
+  // Integer in a range with a default
+  const integer = (name, fallback, { min = 1, max = Infinity } = {}) => {
+    if (env[name] === undefined || env[name] === "") {
+      return fallback;
+    }
+
+    const value = Number(env[name]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      problems.push(`${name} must be an integer between ${min} and ${max}`);
+      return fallback;
+    }
+    return value;
+  };
+
+  // Absolute http(s) address
+  const url = (name, value) => {
+    try {
+      if (!/^https?:$/.test(new URL(value).protocol)) {
+        throw new Error();
+      }
+    } catch (err) {
+      problems.push(`${name} must be an http or https URL, got ${value}`);
+    }
+    return value;
+  };
+
+  ["MONGODB", "SECRET"]
+    .filter((name) => !env[name])
+    .forEach((name) => problems.push(`${name} is required`));
+
+  const port = integer("PORT", 3000, { max: 65535 });
+  const corsOrigins = (env.CORS_ORIGIN || "http://localhost:8080")
+    .split(",")
+    .map((origin) => url("CORS_ORIGIN", origin.trim()));
+  const swaggerServerUrl = url(
+    "SWAGGER_SERVER_URL",
+    env.SWAGGER_SERVER_URL || `http://localhost:${port}`
+  );
+  const shutdownTimeout = integer("SHUTDOWN_TIMEOUT_MS", 10000);
+  const retentionDays = integer("DELETED_RETENTION_DAYS", 30);
+  const purgeIntervalHours = integer("PURGE_INTERVAL_HOURS", 24);
+  // Proxies in front of the app, needed for the client IP of rate limits
+  const trustProxy = integer("TRUST_PROXY", 0, { min: 0 });
+
+  // Read by their modules, checked here so a typo fails on startup
+  integer("BCRYPT_ROUNDS", 10, { min: 4, max: 31 });
+  integer("TIME_GRACE_MS", 5000, { min: 0 });
+  integer("PASS_THRESHOLD", 70, { min: 0, max: 100 });
+  integer("SIGNUP_RATE_LIMIT", 5);
+  integer("LOGIN_RATE_LIMIT", 20);
+  if (
+    env.RATE_LIMIT_STORE &&
+    !["memory", "mongo"].includes(env.RATE_LIMIT_STORE)
+  ) {
+    problems.push("RATE_LIMIT_STORE must be memory or mongo");
+  }
+
+  if (problems.length) {
+    throw new Error(`Invalid configuration:\n- ${problems.join("\n- ")}`);
+  }
+
+  return {
+    port,
+    mongodb: env.MONGODB,
+    corsOrigin: corsOrigins.length === 1 ? corsOrigins[0] : corsOrigins,
+    swaggerServerUrl,
+    shutdownTimeout,
+    trustProxy,
+    retentionDays,
+    purgeIntervalHours,
+    adminEmail: env.ADMIN_EMAIL,
+    adminPassword: env.ADMIN_PASSWORD,
+  };
+}
+
+module.exports = { loadConfig };
@@ -0,0 +1,16 @@
+// Quotes a CSV cell when it holds a quote, comma or line break
+const escape = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Writes rows as RFC 4180 CSV.
+ * @param {Array[]} rows Rows of cells, the header row included.
+ * @returns {string}
+ */
+function toCsv(rows) {
+  return rows.map((row) => row.map(escape).join(",")).join("\r\n") + "\r\n";
+}
+
+module.exports = { toCsv };
@@ -0,0 +1,31 @@
+// Default machine-readable code for every status, routes may send a more specific one
+const CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  429: "TOO_MANY_REQUESTS",
+  500: "SERVER_ERROR",
+};
+
+/**
+ * Error sent to the client by the error middleware.
+ * @param {number} status HTTP status.
+ * @param {string} msg Human readable message.
+ * @param {Object} [options]
+ * @param {string} [options.code] Machine-readable code, defaults to the code of the status.
+ * @param {*} [options.details] Extra data, e.g. the failed validations.
+ */
+class ApiError extends Error {
+  constructor(status, msg, { code, details } = {}) {
+    super(msg);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code || CODES[status] || CODES[500];
+    this.details = details;
+  }
+}
+
+module.exports = { CODES, ApiError };
@@ -0,0 +1,120 @@
+const { EventEmitter } = require("events");
+
+// Events kept for clients reconnecting with Last-Event-ID
+const REPLAY_SIZE = 100;
+
+// In-process bus, every server instance only sees the events of its own requests
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const recent = [];
+// Ids follow the time in microseconds, so they keep increasing across restarts
+let lastId = 0;
+const nextId = () => {
+  lastId = Math.max(lastId + 1, Date.now() * 1000);
+  return lastId;
+};
+
+/**
+ * Publishes an event to the subscribers allowed to receive it.
+ * @param {string} type Event name, e.g. game.published.
+ * @param {Object} data Payload sent to the clients.
+ * @param {Object} [audience] Who receives it, everyone if empty.
+ * @param {string[]} [audience.users] Ids of the receiving users.
+ * @param {string[]} [audience.roles] Users with any of these roles receive it too.
+ * @returns {Object} The published event.
+ */
+function publish(type, data, audience = {}) {
+  const event = {
+    id: nextId(),
+    type,
+    data,
+    audience: {
+      users: audience.users && audience.users.map(String),
+      roles: audience.roles,
+    },
+    date: new Date(),
+  };
+
+  recent.push(event);
+  if (recent.length > REPLAY_SIZE) {
+    recent.shift();
+  }
+  bus.emit("event", event);
+  return event;
+}
+
+/**
+ * Tells the connected clients that a game changed, only editors and admins
+ * hear of games hidden from learners.
+ * @param {string} type Event name, e.g. game.updated.
+ * @param {Object} game Game document.
+ */
+function publishGame(type, game) {
+  return publish(
+    type,
+    { game: game._id, title: game.title },
+    game.isVisible() ? {} : { roles: ["editor", "admin"] }
+  );
+}
+
+/**
+ * True if the subscriber may receive the event.
+ * @param {Object} event Published event.
+ * @param {{id: string, roles: string[]}} subscriber
+ */
+function canReceive(event, subscriber) {
+  const { users, roles } = event.audience;
+  if (!users && !roles) {
+    return true;
+  }
+  return (
+    (users || []).includes(String(subscriber.id)) ||
+    (roles || []).some((role) => subscriber.roles.includes(role))
+  );
+}
+
+/**
+ * Calls the listener with every event published from now on.
+ * @param {Function} listener Called with the event.
+ * @returns {Function} Unsubscribes the listener.
+ */
+function subscribe(listener) {
+  bus.on("event", listener);
+  return () => bus.off("event", listener);
+}
+
+/**
+ * Events published after the given id that are still kept.
+ * @param {number} id Last id the client received.
+ * @returns {Object[]}
+ */
+function eventsSince(id) {
+  return recent.filter((event) => event.id > id);
+}
+
+/**
+ * Asks every open stream to close, used on shutdown.
+ */
+function closeStreams() {
+  bus.emit("close");
+}
+
+/**
+ * Calls the listener once streams have to close.
+ * @returns {Function} Removes the listener.
+ */
+function onClose(listener) {
+  bus.once("close", listener);
+  return () => bus.off("close", listener);
+}
+
+module.exports = {
+  publish,
+  publishGame,
+  canReceive,
+  subscribe,
+  eventsSince,
+  closeStreams,
+  onClose,
+};
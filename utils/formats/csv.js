@@ -0,0 +1,196 @@
+// CSV with one row per answer, games and questions are repeated on every row.
+// question_type and match are optional, see the Question schema.
+const { toCsv } = require("../csv.js");
+
+const COLUMNS = [
+  "game",
+  "icon",
+  "order",
+  "start_text",
+  "end_text",
+  "pass_threshold",
+  "question_order",
+  "question_type",
+  "question",
+  "answer",
+  "correct",
+  "match",
+];
+
+const TRUE_VALUES = ["true", "1", "yes", "y", "x"];
+const FALSE_VALUES = ["false", "0", "no", "n", ""];
+
+// Splits RFC 4180 CSV into rows, remembering the line each row starts on
+function readRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      field = "";
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push({ line: rowLine, cells: row });
+  }
+
+  // Skip blank lines
+  return rows.filter((item) => item.cells.some((cell) => cell.trim()));
+}
+
+const number = (value) => (value.trim() === "" ? undefined : Number(value));
+
+function parse(text) {
+  const rows = readRows(String(text));
+  const errors = [];
+
+  if (!rows.length) {
+    return { games: [], errors: [{ line: 1, msg: "File is empty" }] };
+  }
+
+  const header = rows[0].cells.map((cell) => cell.trim().toLowerCase());
+  const missing = ["game", "question", "answer", "correct"].filter(
+    (column) => !header.includes(column)
+  );
+  if (missing.length) {
+    return {
+      games: [],
+      errors: [
+        { line: rows[0].line, msg: `Missing columns: ${missing.join(", ")}` },
+      ],
+    };
+  }
+
+  const games = new Map();
+  rows.slice(1).forEach(({ line, cells }) => {
+    const row = {};
+    header.forEach((column, index) => {
+      row[column] = cells[index] !== undefined ? cells[index] : "";
+    });
+
+    const correct = row.correct.trim().toLowerCase();
+    if (![...TRUE_VALUES, ...FALSE_VALUES].includes(correct)) {
+      errors.push({
+        line,
+        msg: `Correct must be true or false, got "${row.correct}"`,
+      });
+      return;
+    }
+    if (!row.game.trim()) {
+      errors.push({ line, msg: "Game title can't be empty" });
+      return;
+    }
+
+    let game = games.get(row.game);
+    if (!game) {
+      game = { title: row.game, line, questions: [] };
+      games.set(row.game, game);
+    }
+
+    // The first row that sets a game field wins
+    [
+      ["icon", "icon", String],
+      ["order", "order", number],
+      ["start_text", "startText", String],
+      ["end_text", "endText", String],
+      ["pass_threshold", "passThreshold", number],
+    ].forEach(([column, field, cast]) => {
+      if (game[field] === undefined && row[column] && row[column].trim()) {
+        game[field] = cast(row[column]);
+      }
+    });
+
+    const key = `${row.question_order || ""}\n${row.question}`;
+    let question = game.questions.find((item) => item.key === key);
+    if (!question) {
+      question = {
+        key,
+        line,
+        type: row.question_type ? row.question_type.trim() : undefined,
+        order: row.question_order ? number(row.question_order) : undefined,
+        content: row.question,
+        answers: [],
+      };
+      game.questions.push(question);
+    }
+
+    question.answers.push({
+      correct: TRUE_VALUES.includes(correct),
+      content: row.answer,
+      match: row.match ? row.match : undefined,
+    });
+  });
+
+  // Grouping keys are not part of the game
+  games.forEach((game) =>
+    game.questions.forEach((question) => delete question.key)
+  );
+
+  return { games: [...games.values()], errors };
+}
+
+function serialize(games) {
+  const rows = [COLUMNS];
+
+  games.forEach((game) => {
+    game.questions.forEach((question) => {
+      question.answers.forEach((answer) => {
+        rows.push([
+          game.title,
+          game.icon,
+          game.order,
+          game.startText,
+          game.endText,
+          game.passThreshold,
+          question.order,
+          question.type,
+          question.content,
+          answer.content,
+          answer.correct ? "true" : "false",
+          answer.match,
+        ]);
+      });
+    });
+  });
+
+  return toCsv(rows);
+}
+
+module.exports = {
+  contentType: "text/csv",
+  extension: "csv",
+  columns: COLUMNS,
+  parse,
+  serialize,
+};
@@ -0,0 +1,258 @@
+// Moodle GIFT format, https://docs.moodle.org/en/GIFT_format
+// Every $CATEGORY starts a new game, its questions follow.
+
+const SPECIAL = /[~=#{}:\\]/g;
+
+const escape = (text) => String(text).replace(SPECIAL, "\\$&");
+const unescape = (text) => text.replace(/\\(.)/g, "$1").trim();
+
+// Index of the first unescaped character from the list, -1 if none
+function findUnescaped(text, chars, from = 0) {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === "\\") {
+      i++;
+    } else if (chars.includes(text[i])) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Parses the part between braces into the question type and answers
+function parseAnswers(body) {
+  const trimmed = body.trim();
+
+  if (/^(T|TRUE)$/i.test(trimmed) || /^(F|FALSE)$/i.test(trimmed)) {
+    const isTrue = /^T/i.test(trimmed);
+    return {
+      type: "truefalse",
+      answers: [
+        { correct: isTrue, content: "True" },
+        { correct: !isTrue, content: "False" },
+      ],
+    };
+  }
+
+  if (!trimmed) {
+    return { error: "Essay questions are not supported" };
+  }
+  if (trimmed.startsWith("#")) {
+    return { error: "Numerical questions are not supported" };
+  }
+
+  const answers = [];
+  let wrong = 0;
+  let start = findUnescaped(body, "=~");
+  while (start !== -1) {
+    const end = findUnescaped(body, "=~", start + 1);
+    let content = body.slice(start + 1, end === -1 ? undefined : end);
+    let correct = body[start] === "=";
+    if (!correct) wrong++;
+
+    // Drop feedback
+    const feedback = findUnescaped(content, "#");
+    if (feedback !== -1) {
+      content = content.slice(0, feedback);
+    }
+
+    // Weighted answers, any positive weight counts as correct
+    const weight = /^\s*%(-?[\d.]+)%/.exec(content);
+    if (weight) {
+      correct = Number(weight[1]) > 0;
+      content = content.slice(weight[0].length);
+    }
+
+    const arrow = /(^|[^\\])->/.exec(content);
+    if (arrow) {
+      const split = arrow.index + arrow[1].length;
+      answers.push({
+        content: unescape(content.slice(0, split)),
+        match: unescape(content.slice(split + 2)),
+      });
+    } else {
+      answers.push({ correct, content: unescape(content) });
+    }
+    start = end;
+  }
+
+  if (!answers.length) {
+    return { error: "Question has no answers" };
+  }
+
+  if (answers.some((answer) => answer.match !== undefined)) {
+    return { type: "matching", answers };
+  }
+
+  // Only right answers means a short answer question
+  if (!wrong) {
+    return { type: "text", answers };
+  }
+
+  const correct = answers.filter((answer) => answer.correct).length;
+  return { type: correct > 1 ? "multiple" : "single", answers };
+}
+
+// Answers section of one question, ordering questions can't be written in GIFT
+function serializeAnswers(question) {
+  const answers = question.answers;
+
+  switch (question.type) {
+    case "truefalse": {
+      const correct = answers.find((answer) => answer.correct);
+      if (correct && /^(true|false)$/i.test(correct.content)) {
+        return /^true$/i.test(correct.content) ? "{T}" : "{F}";
+      }
+      break;
+    }
+    case "multiple": {
+      const weight = 100 / answers.filter((answer) => answer.correct).length;
+      const lines = answers.map(
+        (answer) =>
+          `  ~%${answer.correct ? +weight.toFixed(5) : -100}%${escape(
+            answer.content
+          )}`
+      );
+      return `{\n${lines.join("\n")}\n}`;
+    }
+    case "text":
+      return `{\n${answers
+        .map((answer) => `  =${escape(answer.content)}`)
+        .join("\n")}\n}`;
+    case "matching":
+      return `{\n${answers
+        .map(
+          (answer) => `  =${escape(answer.content)} -> ${escape(answer.match)}`
+        )
+        .join("\n")}\n}`;
+    case "ordering":
+      return null;
+  }
+
+  return `{\n${answers
+    .map((answer) => `  ${answer.correct ? "=" : "~"}${escape(answer.content)}`)
+    .join("\n")}\n}`;
+}
+
+/**
+ * @param {string} text GIFT file.
+ * @param {Object} [options]
+ * @param {string} [options.title] Game title for questions before any $CATEGORY.
+ */
+function parse(text, { title } = {}) {
+  const games = [];
+  const errors = [];
+  let game = null;
+
+  const startGame = (gameTitle, line) => {
+    game = { title: gameTitle, line, questions: [] };
+    games.push(game);
+  };
+
+  // Group lines into blocks separated by blank lines, comments are dropped
+  const blocks = [];
+  let block = null;
+  String(text)
+    .split(/\r?\n/)
+    .forEach((content, index) => {
+      if (/^\s*\/\//.test(content)) return;
+      if (!content.trim()) {
+        block = null;
+        return;
+      }
+      if (!block) {
+        block = { line: index + 1, lines: [] };
+        blocks.push(block);
+      }
+      block.lines.push(content);
+    });
+
+  blocks.forEach(({ line, lines }) => {
+    // Categories may share a block with the first question
+    while (lines.length && /^\s*\$CATEGORY:/.test(lines[0])) {
+      const path = lines
+        .shift()
+        .replace(/^\s*\$CATEGORY:/, "")
+        .trim();
+      startGame(path.split("/").pop().trim(), line);
+      line++;
+    }
+    if (!lines.length) return;
+
+    let source = lines.join("\n");
+    let name;
+    const nameMatch = /^\s*::((?:\\.|[^:])*)::/.exec(source);
+    if (nameMatch) {
+      name = unescape(nameMatch[1]);
+      source = source.slice(nameMatch[0].length);
+    }
+
+    const open = findUnescaped(source, "{");
+    const close = open === -1 ? -1 : findUnescaped(source, "}", open);
+    if (open === -1 || close === -1) {
+      errors.push({ line, msg: "Question has no {answers} section" });
+      return;
+    }
+
+    const { type, answers, error } = parseAnswers(
+      source.slice(open + 1, close)
+    );
+    if (error) {
+      errors.push({ line, msg: error });
+      return;
+    }
+
+    // Missing word questions keep the text after the answers
+    const content = unescape(
+      `${source.slice(0, open)} ${source.slice(close + 1)}`
+        .replace(/^\s*\[\w+\]/, "")
+        .replace(/\s+/g, " ")
+    );
+
+    if (!game) {
+      if (!title) {
+        errors.push({
+          line,
+          msg: "Question before any $CATEGORY, add one or pass a title",
+        });
+        return;
+      }
+      startGame(title, line);
+    }
+
+    game.questions.push({
+      line,
+      type,
+      order: game.questions.length + 1,
+      content: content || name,
+      answers,
+    });
+  });
+
+  return { games, errors };
+}
+
+function serialize(games) {
+  const blocks = [];
+
+  games.forEach((game) => {
+    blocks.push(`$CATEGORY: ${game.title}`);
+
+    game.questions.forEach((question, index) => {
+      const answers = serializeAnswers(question);
+      blocks.push(
+        answers
+          ? `::Q${index + 1}:: ${escape(question.content)} ${answers}`
+          : `// Q${index + 1} skipped, GIFT has no ${question.type} questions`
+      );
+    });
+  });
+
+  return blocks.join("\n\n") + "\n";
+}
+
+module.exports = {
+  contentType: "text/plain",
+  extension: "gift",
+  parse,
+  serialize,
+};
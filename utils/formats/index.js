@@ -0,0 +1,59 @@
+const Game = require("../../models/Game.js");
+
+// Import and export formats by name, each has parse(text, options) and serialize(games)
+const FORMATS = {
+  json: require("./json.js"),
+  csv: require("./csv.js"),
+  gift: require("./gift.js"),
+  xml: require("./moodleXml.js"),
+};
+
+/**
+ * Validates parsed games against the Game schema.
+ * Parsers leave a line on games and questions, it is removed here.
+ * @param {Object[]} games Parsed games.
+ * @returns {Object[]} Errors with line, path and msg.
+ */
+function validateGames(games) {
+  const errors = [];
+
+  games.forEach((game, gameIndex) => {
+    const gamePath = `games[${gameIndex}]`;
+    const gameLine = game.line;
+    const questionLines = (game.questions || []).map((question) => {
+      const line = question.line;
+      delete question.line;
+      return line;
+    });
+    delete game.line;
+
+    const error = new Game(game).validateSync();
+    if (error) {
+      Object.values(error.errors).forEach((item) => {
+        // Paths look like questions.2.answers.0.content
+        const match = /^questions\.(\d+)/.exec(item.path);
+        const questionIndex = match ? Number(match[1]) : null;
+        errors.push({
+          line: match ? questionLines[questionIndex] : gameLine,
+          path: match ? `${gamePath}.questions[${questionIndex}]` : gamePath,
+          msg: item.message,
+        });
+      });
+    }
+
+    (game.questions || []).forEach((question, questionIndex) => {
+      const problem = Game.checkQuestion(question);
+      if (problem) {
+        errors.push({
+          line: questionLines[questionIndex],
+          path: `${gamePath}.questions[${questionIndex}]`,
+          msg: problem,
+        });
+      }
+    });
+  });
+
+  return errors;
+}
+
+module.exports = { FORMATS, validateGames };
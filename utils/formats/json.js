@@ -0,0 +1,135 @@
+// JSON bundle: { "games": [ ...games as returned by GET /games/:game_id ] }
+
+const pick = (object, fields) =>
+  fields.reduce((picked, field) => {
+    if (object && object[field] !== undefined) {
+      picked[field] = object[field];
+    }
+    return picked;
+  }, {});
+
+const GAME_FIELDS = [
+  "title",
+  "icon",
+  "order",
+  "startText",
+  "endText",
+  "passThreshold",
+  "unlockByOrder",
+  "questionPool",
+  "shuffleQuestions",
+  "shuffleAnswers",
+  "timeLimit",
+  "translations",
+];
+
+const QUESTION_FIELDS = [
+  "type",
+  "order",
+  "content",
+  "translations",
+  "textMatch",
+  "partialCredit",
+  "timeLimit",
+];
+
+const ANSWER_FIELDS = ["correct", "content", "match", "translations"];
+
+function toGame(data) {
+  return {
+    ...pick(data, GAME_FIELDS),
+    questions: (Array.isArray(data && data.questions)
+      ? data.questions
+      : []
+    ).map((question) => ({
+      ...pick(question, QUESTION_FIELDS),
+      answers: (Array.isArray(question && question.answers)
+        ? question.answers
+        : []
+      ).map((answer) => pick(answer, ANSWER_FIELDS)),
+    })),
+  };
+}
+
+// True when the text fails before its end, not just because it is cut short
+function failsWithin(text) {
+  try {
+    JSON.parse(text);
+    return false;
+  } catch (err) {
+    if (/Unexpected end of JSON input/.test(err.message)) {
+      return false;
+    }
+    const position = /at position (\d+)/.exec(err.message);
+    return !position || Number(position[1]) < text.length;
+  }
+}
+
+// Line of a syntax error. Messages give a position, a line or, on some Node
+// versions, neither; then the shortest failing prefix tells where it is.
+function errorLine(input, message) {
+  const line = /line (\d+) column \d+/.exec(message);
+  if (line) {
+    return Number(line[1]);
+  }
+
+  let offset = input.length;
+  const position = /at position (\d+)/.exec(message);
+  if (position) {
+    offset = Number(position[1]);
+  } else if (!/Unexpected end of JSON input/.test(message)) {
+    let low = 0;
+    let high = input.length;
+    while (high - low > 1) {
+      const middle = Math.floor((low + high) / 2);
+      if (failsWithin(input.slice(0, middle))) {
+        high = middle;
+      } else {
+        low = middle;
+      }
+    }
+    offset = high - 1;
+  }
+  return input.slice(0, offset).split("\n").length;
+}
+
+/**
+ * @param {string|Object} input JSON text or an already parsed body.
+ * @returns {{games: Object[], errors: Object[]}}
+ */
+function parse(input) {
+  let data = input;
+  if (typeof input === "string") {
+    try {
+      data = JSON.parse(input);
+    } catch (err) {
+      return {
+        games: [],
+        errors: [{ line: errorLine(input, err.message), msg: err.message }],
+      };
+    }
+  }
+
+  const list = Array.isArray(data) ? data : data && data.games;
+  if (!Array.isArray(list)) {
+    return {
+      games: [],
+      errors: [
+        { line: 1, msg: 'Expected an array of games or { "games": [] }' },
+      ],
+    };
+  }
+
+  return { games: list.map(toGame), errors: [] };
+}
+
+function serialize(games) {
+  return JSON.stringify({ games: games.map(toGame) }, null, 2);
+}
+
+module.exports = {
+  contentType: "application/json",
+  extension: "json",
+  parse,
+  serialize,
+};
@@ -0,0 +1,279 @@
+// Moodle XML format, https://docs.moodle.org/en/Moodle_XML_format
+// Every category question starts a new game, its questions follow.
+const { XMLParser, XMLValidator } = require("fast-xml-parser");
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "",
+  parseTagValue: false,
+  isArray: (name) => ["question", "answer", "subquestion"].includes(name),
+});
+
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+// Plain text of a <text> element, HTML is reduced to its text
+function textOf(node, html) {
+  let text = node && node.text !== undefined ? String(node.text) : "";
+  if (html) {
+    text = text
+      .replace(/<[^>]*>/g, " ")
+      .replace(/&(\w+);/g, (entity, name) =>
+        ENTITIES[name] !== undefined ? ENTITIES[name] : entity
+      );
+  }
+  return text.replace(/\s+/g, " ").trim();
+}
+
+const isHtml = (node) => Boolean(node && node.format === "html");
+
+const escape = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+// Answers of the question, any positive fraction counts as correct
+const answersOf = (question) =>
+  (question.answer || []).map((answer) => ({
+    correct: Number(answer.fraction) > 0,
+    content: textOf(answer, isHtml(answer)),
+  }));
+
+// Question type and answers by Moodle question type
+const readers = {
+  multichoice: (question) => {
+    const answers = answersOf(question);
+    const single = String(question.single) !== "false";
+    return { type: single ? "single" : "multiple", answers };
+  },
+
+  truefalse: (question) => ({
+    type: "truefalse",
+    answers: answersOf(question).map((answer) => ({
+      ...answer,
+      content: /^true$/i.test(answer.content) ? "True" : "False",
+    })),
+  }),
+
+  // usecase 1 means case sensitive
+  shortanswer: (question) => ({
+    type: "text",
+    textMatch: String(question.usecase) === "1" ? "exact" : "normalized",
+    answers: answersOf(question).filter((answer) => answer.correct),
+  }),
+
+  matching: (question) => ({
+    type: "matching",
+    answers: (question.subquestion || [])
+      .filter((item) => textOf(item, isHtml(item)))
+      .map((item) => ({
+        content: textOf(item, isHtml(item)),
+        match: textOf((item.answer || [])[0]),
+      })),
+  }),
+
+  // Answers of the ordering plugin are listed in the right order
+  ordering: (question) => ({
+    type: "ordering",
+    answers: answersOf(question).map((answer) => ({
+      content: answer.content,
+    })),
+  }),
+};
+
+/**
+ * @param {string} text Moodle XML file.
+ * @param {Object} [options]
+ * @param {string} [options.title] Game title for questions before any category.
+ */
+function parse(text, { title } = {}) {
+  text = String(text);
+  const games = [];
+  const errors = [];
+
+  const valid = XMLValidator.validate(text);
+  if (valid !== true) {
+    return { games, errors: [{ line: valid.err.line, msg: valid.err.msg }] };
+  }
+
+  const data = parser.parse(text);
+  if (!data.quiz) {
+    return { games, errors: [{ line: 1, msg: "Missing <quiz> root element" }] };
+  }
+
+  // Elements don't keep their position, find the line of each <question>
+  const lines = [];
+  const tag = /<question[\s>]/g;
+  let match;
+  while ((match = tag.exec(text))) {
+    lines.push(text.slice(0, match.index).split("\n").length);
+  }
+
+  let game = null;
+  (data.quiz.question || []).forEach((question, index) => {
+    const line = lines[index];
+
+    if (question.type === "category") {
+      const path = textOf(question.category);
+      game = {
+        title: path
+          .replace(/^\$\w+\$\//, "")
+          .split("/")
+          .pop(),
+        line,
+        questions: [],
+      };
+      games.push(game);
+      return;
+    }
+
+    if (!readers[question.type]) {
+      errors.push({
+        line,
+        msg: `Question type ${question.type} is not supported`,
+      });
+      return;
+    }
+
+    if (!game) {
+      if (!title) {
+        errors.push({
+          line,
+          msg: "Question before any category, add one or pass a title",
+        });
+        return;
+      }
+      game = { title, line, questions: [] };
+      games.push(game);
+    }
+
+    game.questions.push({
+      line,
+      order: game.questions.length + 1,
+      content:
+        textOf(question.questiontext, isHtml(question.questiontext)) ||
+        textOf(question.name),
+      ...readers[question.type](question),
+    });
+  });
+
+  return { games, errors };
+}
+
+const text = (value) => `<text>${escape(value)}</text>`;
+
+// Moodle type and answer elements of one question
+function writeQuestion(question) {
+  const answers = question.answers;
+  const answer = (fraction, content) =>
+    `    <answer fraction="${fraction}" format="plain_text">${text(
+      content
+    )}</answer>`;
+
+  switch (question.type) {
+    case "multiple": {
+      const weight = +(
+        100 / answers.filter((item) => item.correct).length
+      ).toFixed(5);
+      return {
+        type: "multichoice",
+        lines: [
+          "    <single>false</single>",
+          "    <shuffleanswers>0</shuffleanswers>",
+          ...answers.map((item) =>
+            answer(item.correct ? weight : -100, item.content)
+          ),
+        ],
+      };
+    }
+    case "truefalse":
+      return {
+        type: "truefalse",
+        lines: answers.map((item) =>
+          answer(item.correct ? 100 : 0, item.content.toLowerCase())
+        ),
+      };
+    case "text":
+      return {
+        type: "shortanswer",
+        lines: [
+          `    <usecase>${question.textMatch === "exact" ? 1 : 0}</usecase>`,
+          ...answers.map((item) => answer(100, item.content)),
+        ],
+      };
+    case "matching":
+      return {
+        type: "matching",
+        lines: answers.map(
+          (item) =>
+            `    <subquestion format="plain_text">${text(
+              item.content
+            )}<answer>${text(item.match)}</answer></subquestion>`
+        ),
+      };
+    case "ordering":
+      return {
+        type: "ordering",
+        lines: answers.map((item, index) => answer(index + 1, item.content)),
+      };
+    default:
+      return {
+        type: "multichoice",
+        lines: [
+          "    <single>true</single>",
+          "    <shuffleanswers>0</shuffleanswers>",
+          ...answers.map((item) =>
+            answer(item.correct ? 100 : 0, item.content)
+          ),
+        ],
+      };
+  }
+}
+
+function serialize(games) {
+  const questions = [];
+
+  games.forEach((game) => {
+    questions.push(
+      `  <question type="category">\n` +
+        `    <category>${text(`$course$/top/${game.title}`)}</category>\n` +
+        `  </question>`
+    );
+
+    game.questions.forEach((question, index) => {
+      const { type, lines } = writeQuestion(question);
+
+      questions.push(
+        [
+          `  <question type="${type}">`,
+          `    <name>${text(`Q${index + 1}`)}</name>`,
+          `    <questiontext format="plain_text">${text(
+            question.content
+          )}</questiontext>`,
+          ...lines,
+          `  </question>`,
+        ].join("\n")
+      );
+    });
+  });
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n<quiz>\n' +
+    questions.join("\n") +
+    "\n</quiz>\n"
+  );
+}
+
+module.exports = {
+  contentType: "application/xml",
+  extension: "xml",
+  parse,
+  serialize,
+};
@@ -0,0 +1,166 @@
+require("dotenv").config();
+
+// Percentage of correct answers needed to pass a game when the game doesn't set its own
+const DEFAULT_PASS_THRESHOLD = process.env.PASS_THRESHOLD
+  ? Number(process.env.PASS_THRESHOLD)
+  : 70;
+
+const asArray = (value) => (Array.isArray(value) ? value : []);
+
+// Lower case, single spaced and without punctuation
+const normalize = (text) =>
+  String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// The default text of a field and all of its translations
+const variants = (item, field) => {
+  const translations = item.translations
+    ? item.translations instanceof Map
+      ? [...item.translations.values()]
+      : Object.values(item.translations)
+    : [];
+  return [
+    item[field],
+    ...translations.map((translation) => translation[field]),
+  ].filter(Boolean);
+};
+
+// Full credit only when partial credit is off
+const credit = (question, fraction) =>
+  question.partialCredit === false ? Math.floor(fraction) : fraction;
+
+/**
+ * Credit between 0 and 1 for one response, by question type.
+ * - single, truefalse: answer id
+ * - multiple: array of answer ids, wrong picks cancel right ones
+ * - text: the typed answer, in any locale
+ * - ordering: array of all answer ids in the chosen order
+ * - matching: array of { answer, match } pairs, matches in any locale
+ */
+const graders = {
+  single: (question, response) => {
+    const answer = question.answers.find(
+      (item) => String(item._id) === String(response)
+    );
+    return answer && answer.correct ? 1 : 0;
+  },
+
+  multiple: (question, response) => {
+    const picked = new Set(asArray(response).map(String));
+    const right = question.answers.filter(
+      (item) => item.correct && picked.has(String(item._id))
+    ).length;
+    const wrong = question.answers.filter(
+      (item) => !item.correct && picked.has(String(item._id))
+    ).length;
+    const correct = question.answers.filter((item) => item.correct).length;
+
+    return credit(question, Math.max(0, right - wrong) / correct);
+  },
+
+  text: (question, response) => {
+    if (typeof response !== "string") {
+      return 0;
+    }
+
+    const same =
+      question.textMatch === "exact"
+        ? (a, b) => a.trim() === b.trim()
+        : (a, b) => normalize(a) === normalize(b);
+    return question.answers.some((item) =>
+      variants(item, "content").some((content) => same(content, response))
+    )
+      ? 1
+      : 0;
+  },
+
+  ordering: (question, response) => {
+    const order = asArray(response).map(String);
+    const inPlace = question.answers.filter(
+      (item, index) => order[index] === String(item._id)
+    ).length;
+
+    return credit(question, inPlace / question.answers.length);
+  },
+
+  matching: (question, response) => {
+    const pairs = new Map(
+      asArray(response)
+        .filter((pair) => pair && pair.answer)
+        .map((pair) => [String(pair.answer), pair.match])
+    );
+    const matched = question.answers.filter(
+      (item) =>
+        pairs.has(String(item._id)) &&
+        variants(item, "match").includes(pairs.get(String(item._id)))
+    ).length;
+
+    return credit(question, matched / question.answers.length);
+  },
+};
+graders.truefalse = graders.single;
+
+/**
+ * Grades submitted answers against the stored game.
+ * @param {Object} game Game document with questions and answers.
+ * @param {Array<{question: string, answer: *}>} submitted Response per question id, its shape depends on the question type.
+ * @param {Object[]} [selection] Questions drawn for the attempt, only these are graded. All questions if empty.
+ * @returns {Object} Score, percentage, pass flag and per-question results.
+ */
+function gradeGame(game, submitted, selection) {
+  // Map question id to the response
+  const responses = new Map();
+  submitted.forEach((item) => {
+    if (item && item.question) {
+      responses.set(String(item.question), item.answer);
+    }
+  });
+
+  // Questions removed from the game since the draw are skipped
+  const questions =
+    selection && selection.length
+      ? selection
+          .map((entry) => game.questions.id(entry.question))
+          .filter(Boolean)
+      : game.questions;
+
+  const results = questions.map((question) => {
+    const answer = responses.has(String(question._id))
+      ? responses.get(String(question._id))
+      : null;
+    const grade = graders[question.type || "single"];
+    const questionCredit =
+      answer === null || answer === undefined ? 0 : grade(question, answer);
+
+    return {
+      question: question._id,
+      answer,
+      credit: Math.round(questionCredit * 100) / 100,
+      correct: questionCredit === 1,
+    };
+  });
+
+  const total = results.length;
+  const score =
+    Math.round(results.reduce((sum, result) => sum + result.credit, 0) * 100) /
+    100;
+  const percentage = total ? Math.round((score / total) * 100) : 0;
+  const passThreshold =
+    game.passThreshold != null ? game.passThreshold : DEFAULT_PASS_THRESHOLD;
+
+  return {
+    score,
+    total,
+    percentage,
+    passThreshold,
+    passed: percentage >= passThreshold,
+    results,
+  };
+}
+
+module.exports = { DEFAULT_PASS_THRESHOLD, normalize, gradeGame };
@@ -0,0 +1,217 @@
+const mongoose = require("mongoose");
+const { query } = require("express-validator");
+const Attempt = require("../models/Attempt.js");
+const Game = require("../models/Game.js");
+const User = require("../models/User.js");
+
+const PERIODS = ["all", "month", "week"];
+
+// Sort stages, ties are broken by the other metrics
+const SORTS = {
+  completed: { completed: -1, totalScore: -1, fastestTime: 1 },
+  score: { totalScore: -1, completed: -1, fastestTime: 1 },
+  time: { hasTime: -1, fastestTime: 1, completed: -1, totalScore: -1 },
+};
+
+// Start of the time window, null for all-time
+function periodStart(period, now = new Date()) {
+  if (period === "month") {
+    return new Date(now.getFullYear(), now.getMonth(), 1);
+  }
+
+  if (period === "week") {
+    // Weeks start on Monday
+    const day = (now.getDay() + 6) % 7;
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate() - day);
+  }
+
+  return null;
+}
+
+// Condition of the rows sorted before the row, field by field like the sort
+// stage with _id last
+function rankedAhead(sort, row) {
+  const fields = [...Object.entries(SORTS[sort]), ["_id", 1]];
+  const value = (field) => (row[field] === undefined ? null : row[field]);
+
+  return {
+    $or: fields.map(([field, direction], index) => ({
+      $and: [
+        ...fields
+          .slice(0, index)
+          .map(([before]) => ({ $eq: [`$${before}`, value(before)] })),
+        { [direction === 1 ? "$lt" : "$gt"]: [`$${field}`, value(field)] },
+      ],
+    })),
+  };
+}
+
+// Express Validator checks for the leaderboard query string
+const leaderboardChecks = [
+  query("period", `Period must be one of ${PERIODS.join(", ")}`)
+    .optional()
+    .isIn(PERIODS),
+  query("sort", `Sort must be one of ${Object.keys(SORTS).join(", ")}`)
+    .optional()
+    .isIn(Object.keys(SORTS)),
+  query("page", "Page must be a positive integer")
+    .optional()
+    .isInt({ min: 1 })
+    .toInt(),
+  query("limit", "Limit must be between 1 and 100")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .toInt(),
+];
+
+/**
+ * Ranks users by games completed, total best score and fastest passing time.
+ * @param {Object} options
+ * @param {string} [options.game] Only rank attempts of this game.
+ * @param {string} [options.period] One of all, month or week.
+ * @param {string} [options.sort] One of completed, score or time.
+ * @param {number} [options.page] Page number starting from 1.
+ * @param {number} [options.limit] Page size.
+ * @param {string} [options.userId] Requesting user, whose rank is always returned.
+ */
+async function leaderboard({
+  game,
+  period = "all",
+  sort = "completed",
+  page = 1,
+  limit = 10,
+  userId,
+}) {
+  const match = { finishedAt: { $exists: true } };
+  const since = periodStart(period);
+  if (since) {
+    match.finishedAt.$gte = since;
+  }
+  if (game) {
+    match.game = mongoose.Types.ObjectId(String(game));
+  }
+
+  const start = (page - 1) * limit;
+  const me = userId ? mongoose.Types.ObjectId(String(userId)) : null;
+  // One row per user with the metrics the sorts rank by
+  const rows = [
+    { $match: match },
+    // Attempts recorded at submit have no real start, so no time
+    {
+      $addFields: {
+        duration: {
+          $cond: [
+            "$unmeasured",
+            null,
+            { $subtract: ["$finishedAt", "$startedAt"] },
+          ],
+        },
+      },
+    },
+    // Best result of every user in every game
+    {
+      $group: {
+        _id: { user: "$user", game: "$game" },
+        bestScore: { $max: "$score" },
+        passed: { $max: "$passed" },
+        fastestPass: {
+          $min: { $cond: ["$passed", "$duration", null] },
+        },
+      },
+    },
+    // Leave out deleted games
+    {
+      $lookup: {
+        from: Game.collection.name,
+        localField: "_id.game",
+        foreignField: "_id",
+        as: "game",
+      },
+    },
+    { $match: { "game.0": { $exists: true }, "game.deletedAt": null } },
+    {
+      $group: {
+        _id: "$_id.user",
+        completed: { $sum: { $cond: ["$passed", 1, 0] } },
+        totalScore: { $sum: "$bestScore" },
+        fastestTime: { $avg: "$fastestPass" },
+      },
+    },
+    // Leave out deleted users and users who opted out
+    {
+      $lookup: {
+        from: User.collection.name,
+        localField: "_id",
+        foreignField: "_id",
+        as: "account",
+      },
+    },
+    {
+      $match: {
+        "account.0": { $exists: true },
+        "account.deletedAt": null,
+        "account.hideFromLeaderboard": { $ne: true },
+      },
+    },
+    {
+      $project: {
+        completed: 1,
+        totalScore: 1,
+        fastestTime: 1,
+        hasTime: { $cond: [{ $eq: ["$fastestTime", null] }, 0, 1] },
+        displayName: { $arrayElemAt: ["$account.displayName", 0] },
+      },
+    },
+  ];
+
+  const [facet] = await Attempt.aggregate([
+    ...rows,
+    { $sort: { ...SORTS[sort], _id: 1 } },
+    // One page, the total and the requesting user's row
+    {
+      $facet: {
+        results: [{ $skip: start }, { $limit: limit }],
+        total: [{ $count: "count" }],
+        me: [{ $match: { _id: me } }],
+      },
+    },
+  ]);
+
+  // Rank of the requesting user from the number of users ranked ahead
+  let ahead = null;
+  if (facet.me.length) {
+    const [counted] = await Attempt.aggregate([
+      ...rows,
+      { $match: { $expr: rankedAhead(sort, facet.me[0]) } },
+      { $count: "count" },
+    ]);
+    ahead = counted ? counted.count : 0;
+  }
+
+  const toRow = (row, index) => ({
+    rank: index + 1,
+    user: row._id,
+    displayName: row.displayName || "Anonymous",
+    completed: row.completed,
+    totalScore: row.totalScore,
+    fastestTime: row.fastestTime != null ? Math.round(row.fastestTime) : null,
+  });
+
+  return {
+    period,
+    sort,
+    page,
+    limit,
+    total: facet.total.length ? facet.total[0].count : 0,
+    results: facet.results.map((row, index) => toRow(row, start + index)),
+    me: ahead !== null ? toRow(facet.me[0], ahead) : null,
+  };
+}
+
+module.exports = {
+  PERIODS,
+  SORTS,
+  leaderboardChecks,
+  leaderboard,
+  periodStart,
+};
@@ -0,0 +1,94 @@
+const { query } = require("express-validator");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Express Validator checks for list query strings.
+ * @param {Object} options
+ * @param {string[]} options.sort Fields the list can be sorted by, prefix with - for descending.
+ * @param {string[]} options.fields Fields that can be selected with ?fields=a,b.
+ */
+function listChecks({ sort, fields }) {
+  const sorts = sort.reduce((all, field) => [...all, field, `-${field}`], []);
+
+  return [
+    query("page", "Page must be a positive integer")
+      .optional()
+      .isInt({ min: 1 })
+      .toInt(),
+    query("limit", `Limit must be between 1 and ${MAX_LIMIT}`)
+      .optional()
+      .isInt({ min: 1, max: MAX_LIMIT })
+      .toInt(),
+    query("sort", `Sort must be one of ${sorts.join(", ")}`)
+      .optional()
+      .isString()
+      .bail()
+      .isIn(sorts),
+    query("q", "Search must be a string").optional().isString(),
+    query("fields", `Fields must be a list of ${fields.join(", ")}`)
+      .optional()
+      .isString()
+      .bail()
+      .custom((value) =>
+        value.split(",").every((field) => fields.includes(field))
+      ),
+  ];
+}
+
+/**
+ * Finds one page of documents from the validated list query string.
+ * @param {Object} Model Mongoose model.
+ * @param {Object} req Express request.
+ * @param {Object} options
+ * @param {Object} [options.filter] Base query filter.
+ * @param {string} options.search Field matched by ?q=, case insensitive.
+ * @param {string} options.defaultSort Sort used without ?sort=, ties are sorted by _id.
+ * @param {string} [options.exclude] Projection used without ?fields=.
+ * @param {string[]} [options.include] Fields always selected along with ?fields=.
+ * @returns {Promise<{items: Object[], total: number, page: number, limit: number, fields: string[]|null}>}
+ */
+async function findPage(
+  Model,
+  req,
+  { filter = {}, search, defaultSort, exclude, include = [] }
+) {
+  const { page = 1, limit = DEFAULT_LIMIT, sort = defaultSort, q } = req.query;
+  const fields = req.query.fields ? req.query.fields.split(",") : null;
+
+  if (q) {
+    filter = { ...filter, [search]: new RegExp(escapeRegExp(q), "i") };
+  }
+
+  const [items, total] = await Promise.all([
+    Model.find(filter)
+      .select(fields ? [...fields, ...include].join(" ") : exclude)
+      // Ties are ordered by id so pages don't overlap
+      .sort(`${sort} _id`)
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Model.countDocuments(filter),
+  ]);
+
+  return { items, total, page, limit, fields };
+}
+
+// Pagination is sent in headers so the body stays a plain array
+function setPageHeaders(res, { total, page, limit }) {
+  res.set({
+    "X-Total-Count": total,
+    "X-Page": page,
+    "X-Limit": limit,
+  });
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  listChecks,
+  findPage,
+  setPageHeaders,
+};
@@ -0,0 +1,41 @@
+require("dotenv").config();
+
+// Locales games can be translated to, the first one is the default
+const LOCALES = (process.env.LOCALES || "ro,ru,en")
+  .split(",")
+  .map((locale) => locale.trim().toLowerCase())
+  .filter(Boolean);
+const DEFAULT_LOCALE = (process.env.DEFAULT_LOCALE || LOCALES[0]).toLowerCase();
+
+if (!LOCALES.includes(DEFAULT_LOCALE)) {
+  LOCALES.unshift(DEFAULT_LOCALE);
+}
+
+// Primary subtag of a language tag, ro-RO becomes ro
+const primary = (tag) => String(tag).trim().toLowerCase().split(/[-_]/)[0];
+
+/**
+ * Picks the locale of a request.
+ * @param {string} [lang] Value of the ?lang= parameter, wins when supported.
+ * @param {string} [acceptLanguage] Accept-Language header.
+ * @returns {string} A supported locale, the default one if nothing matches.
+ */
+function pickLocale(lang, acceptLanguage) {
+  if (lang && LOCALES.includes(primary(lang))) {
+    return primary(lang);
+  }
+
+  const preferred = String(acceptLanguage || "")
+    .split(",")
+    .map((part) => {
+      const [tag, ...params] = part.split(";");
+      const q = params.find((param) => param.trim().startsWith("q="));
+      return { locale: primary(tag), q: q ? Number(q.trim().slice(2)) : 1 };
+    })
+    .filter((item) => item.q > 0 && LOCALES.includes(item.locale))
+    .sort((a, b) => b.q - a.q);
+
+  return preferred.length ? preferred[0].locale : DEFAULT_LOCALE;
+}
+
+module.exports = { LOCALES, DEFAULT_LOCALE, pickLocale };
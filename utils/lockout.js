@@ -0,0 +1,62 @@
+require("dotenv").config();
+const { getStore } = require("./rateLimit.js");
+
+// Failed logins allowed before an account is locked
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+// First lock, doubled by every further failure up to MAX_LOCK_MS
+const LOGIN_LOCK_MS = Number(process.env.LOGIN_LOCK_MS) || 60 * 1000;
+const MAX_LOCK_MS = 60 * 60 * 1000;
+// Failures are forgotten a day after the first one
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Accounts are keyed by email, so unknown emails are locked the same way
+const accountKey = (email) => String(email).trim().toLowerCase();
+
+/**
+ * @param {string} email Email of the login attempt.
+ * @returns {Promise<Date|null>} End of the running lock, null if not locked.
+ */
+async function lockedUntil(email) {
+  const lock = await getStore().get(`lock:${accountKey(email)}`);
+  return lock && lock.resetAt;
+}
+
+/**
+ * Counts a failed login, locking the account after too many.
+ * @param {string} email Email of the login attempt.
+ * @returns {Promise<Date|null>} End of the new lock, null if not locked.
+ */
+async function recordFailure(email) {
+  const store = getStore();
+  const account = accountKey(email);
+  const { count } = await store.hit(`login:${account}`, FAILURE_WINDOW_MS);
+  if (count < LOGIN_MAX_FAILURES) {
+    return null;
+  }
+
+  const lockMs = Math.min(
+    LOGIN_LOCK_MS * 2 ** (count - LOGIN_MAX_FAILURES),
+    MAX_LOCK_MS
+  );
+  await store.reset(`lock:${account}`);
+  const { resetAt } = await store.hit(`lock:${account}`, lockMs);
+  return resetAt;
+}
+
+// Forgets the failures after a successful login
+async function clearFailures(email) {
+  const store = getStore();
+  const account = accountKey(email);
+  await Promise.all([
+    store.reset(`login:${account}`),
+    store.reset(`lock:${account}`),
+  ]);
+}
+
+module.exports = {
+  LOGIN_MAX_FAILURES,
+  LOGIN_LOCK_MS,
+  lockedUntil,
+  recordFailure,
+  clearFailures,
+};
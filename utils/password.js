@@ -0,0 +1,27 @@
+require("dotenv").config();
+const bcrypt = require("bcryptjs");
+
+// bcrypt cost factor, every step doubles the hashing time
+const BCRYPT_ROUNDS = Number(process.env.BCRYPT_ROUNDS) || 10;
+
+/**
+ * Hashes a password with the configured cost factor.
+ * @param {string} password Plain password.
+ * @returns {Promise<string>}
+ */
+async function hashPassword(password) {
+  const salt = await bcrypt.genSalt(BCRYPT_ROUNDS);
+  return bcrypt.hash(password, salt);
+}
+
+// True if the hash was made with a lower cost factor than the configured one
+function needsRehash(hash) {
+  return bcrypt.getRounds(hash) < BCRYPT_ROUNDS;
+}
+
+module.exports = {
+  BCRYPT_ROUNDS,
+  hashPassword,
+  verifyPassword: bcrypt.compare,
+  needsRehash,
+};
@@ -0,0 +1,35 @@
+const Game = require("../models/Game.js");
+const { audit } = require("./audit.js");
+const { publishGame } = require("./events.js");
+
+// How often the server publishes scheduled games
+const PUBLISH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Publishes the scheduled games whose publishAt has passed. Learners see them
+ * from publishAt on anyway, this records the status and tells the clients.
+ * @returns {Promise<number>} Number of published games.
+ */
+async function publishScheduled(now = new Date()) {
+  const games = await Game.find({
+    status: "scheduled",
+    publishAt: { $lte: now },
+  });
+
+  for (const game of games) {
+    const before = game.toObject();
+    game.status = "published";
+    await game.save();
+    await audit(null, "game.status.change", {
+      target: { type: "game", id: game._id },
+      before,
+      after: game,
+      meta: { scheduled: true },
+    });
+    publishGame("game.published", game);
+  }
+
+  return games.length;
+}
+
+module.exports = { PUBLISH_INTERVAL_MS, publishScheduled };
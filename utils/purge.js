@@ -0,0 +1,103 @@
+require("dotenv").config();
+const Game = require("../models/Game.js");
+const GameVersion = require("../models/GameVersion.js");
+const User = require("../models/User.js");
+const Attempt = require("../models/Attempt.js");
+const Session = require("../models/Session.js");
+const Token = require("../models/Token.js");
+const Classroom = require("../models/Classroom.js");
+const Achievement = require("../models/Achievement.js");
+const UserAchievement = require("../models/UserAchievement.js");
+const { audit } = require("./audit.js");
+
+// Days soft deleted games and users are kept before they are purged
+const DELETED_RETENTION_DAYS = Number(process.env.DELETED_RETENTION_DAYS) || 30;
+
+const withDeleted = { withDeleted: true };
+
+// Removes a game with its attempts, versions and every reference to it
+async function purgeGame(game) {
+  await Attempt.deleteMany({ game: game._id });
+  await GameVersion.deleteMany({ game: game._id });
+  // Perfect score achievements of the game could never be unlocked again
+  const achievements = await Achievement.find({
+    "rule.type": "perfectScore",
+    "rule.game": game._id,
+  });
+  for (const achievement of achievements) {
+    await UserAchievement.deleteMany({ achievement: achievement._id });
+    await achievement.remove();
+    await audit(null, "achievement.delete", {
+      target: { type: "achievement", id: achievement._id },
+      before: achievement,
+      meta: { purgedGame: game._id },
+    });
+  }
+  await Game.updateMany(
+    { prerequisites: game._id },
+    { $pull: { prerequisites: game._id } }
+  ).setOptions(withDeleted);
+  await Classroom.updateMany(
+    { "assignments.game": game._id },
+    { $pull: { assignments: { game: game._id } } }
+  );
+  await User.updateMany(
+    { unlockedGames: game._id },
+    { $pull: { unlockedGames: game._id } }
+  ).setOptions(withDeleted);
+  // Legacy completion list of users that were never migrated
+  await User.collection.updateMany(
+    { "games.game": game._id },
+    { $pull: { games: { game: game._id } } }
+  );
+  await Game.deleteOne({ _id: game._id });
+}
+
+// Removes a user with their attempts, sessions, tokens, achievements and classrooms
+async function purgeUser(user) {
+  await Promise.all([
+    Attempt.deleteMany({ user: user._id }),
+    Session.deleteMany({ user: user._id }),
+    Token.deleteMany({ user: user._id }),
+    UserAchievement.deleteMany({ user: user._id }),
+    Classroom.deleteMany({ teacher: user._id }),
+    Classroom.updateMany(
+      { learners: user._id },
+      { $pull: { learners: user._id } }
+    ),
+  ]);
+  await User.deleteOne({ _id: user._id });
+}
+
+/**
+ * Permanently removes games and users deleted longer than the retention period ago.
+ * @param {Object} [options]
+ * @param {number} [options.retentionDays] Days to keep deleted items.
+ * @returns {Promise<{games: number, users: number}>} Number of purged items.
+ */
+async function purgeDeleted({ retentionDays = DELETED_RETENTION_DAYS } = {}) {
+  const before = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const filter = { deletedAt: { $lt: before } };
+
+  const games = await Game.find(filter).select("title deletedAt");
+  for (const game of games) {
+    await purgeGame(game);
+    await audit(null, "game.purge", {
+      target: { type: "game", id: game._id },
+      meta: { title: game.title, deletedAt: game.deletedAt },
+    });
+  }
+
+  const users = await User.find(filter).select("deletedAt");
+  for (const user of users) {
+    await purgeUser(user);
+    await audit(null, "user.purge", {
+      target: { type: "user", id: user._id },
+      meta: { deletedAt: user.deletedAt },
+    });
+  }
+
+  return { games: games.length, users: users.length };
+}
+
+module.exports = { DELETED_RETENTION_DAYS, purgeGame, purgeUser, purgeDeleted };
@@ -0,0 +1,115 @@
+require("dotenv").config();
+const RateLimit = require("../models/RateLimit.js");
+
+/**
+ * Stores count hits per key within a window. Every store has:
+ * - hit(key, windowMs): counts a hit, resolves { count, resetAt }
+ * - get(key): resolves { count, resetAt } of a running window, null otherwise
+ * - reset(key): forgets the key
+ */
+const stores = {
+  // Counters in process memory, only for a single instance
+  memory: () => {
+    const counters = new Map();
+    const running = (key) => {
+      const counter = counters.get(key);
+      if (counter && counter.resetAt <= Date.now()) {
+        counters.delete(key);
+        return null;
+      }
+      return counter || null;
+    };
+
+    // Expired counters of keys that are never hit again
+    setInterval(() => {
+      [...counters.keys()].forEach(running);
+    }, 60 * 1000).unref();
+
+    return {
+      hit: async (key, windowMs) => {
+        const counter = running(key) || {
+          count: 0,
+          resetAt: new Date(Date.now() + windowMs),
+        };
+        counter.count += 1;
+        counters.set(key, counter);
+        return { ...counter };
+      },
+      get: async (key) => {
+        const counter = running(key);
+        return counter && { ...counter };
+      },
+      reset: async (key) => {
+        counters.delete(key);
+      },
+    };
+  },
+
+  // Counters in the rateLimits collection, shared by every instance
+  mongo: () => ({
+    hit: async (key, windowMs) => {
+      const now = new Date();
+      const running = { $gt: ["$expiresAt", now] };
+      const counter = await RateLimit.findOneAndUpdate(
+        { key },
+        [
+          {
+            $set: {
+              count: { $cond: [running, { $add: ["$count", 1] }, 1] },
+              expiresAt: {
+                $cond: [
+                  running,
+                  "$expiresAt",
+                  new Date(now.getTime() + windowMs),
+                ],
+              },
+            },
+          },
+        ],
+        { upsert: true, new: true }
+      );
+      return { count: counter.count, resetAt: counter.expiresAt };
+    },
+    get: async (key) => {
+      const counter = await RateLimit.findOne({
+        key,
+        expiresAt: { $gt: new Date() },
+      });
+      return counter && { count: counter.count, resetAt: counter.expiresAt };
+    },
+    reset: async (key) => {
+      await RateLimit.deleteOne({ key });
+    },
+  }),
+};
+
+let store = null;
+
+/**
+ * Store picked by RATE_LIMIT_STORE, memory by default.
+ * @returns {Object} Store with hit, get and reset.
+ */
+function getStore() {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || "memory";
+    if (!stores[name]) {
+      throw new Error(`Unknown rate limit store ${name}`);
+    }
+    store = stores[name]();
+  }
+  return store;
+}
+
+/**
+ * Replaces the rate limit store.
+ * @param {Object} newStore Store with hit, get and reset.
+ */
+function setStore(newStore) {
+  store = newStore;
+}
+
+// Whole seconds until the date, for the Retry-After header
+const secondsUntil = (date) =>
+  Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+
+module.exports = { stores, getStore, setStore, secondsUntil };
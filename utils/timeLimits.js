@@ -0,0 +1,39 @@
+require("dotenv").config();
+
+// Latency allowed after a deadline before answers are refused, 0 turns it off
+const TIME_GRACE_MS = process.env.TIME_GRACE_MS
+  ? Number(process.env.TIME_GRACE_MS)
+  : 5000;
+
+/**
+ * Deadline of an attempt of the game started at the given time.
+ * @param {Object} game Game with an optional timeLimit in seconds.
+ * @param {Date} startedAt
+ * @returns {Date|undefined} Undefined for untimed games.
+ */
+function deadlineOf(game, startedAt) {
+  if (!game.timeLimit) {
+    return undefined;
+  }
+  return new Date(new Date(startedAt).getTime() + game.timeLimit * 1000);
+}
+
+/**
+ * Milliseconds left until the deadline, never below zero.
+ * @returns {number|null} Null without a deadline.
+ */
+function remaining(deadline, now = Date.now()) {
+  return deadline ? Math.max(0, new Date(deadline).getTime() - now) : null;
+}
+
+/**
+ * True once the deadline and the grace period have passed.
+ * @param {Date} [deadline]
+ */
+function isPast(deadline, now = Date.now()) {
+  return (
+    Boolean(deadline) && now > new Date(deadline).getTime() + TIME_GRACE_MS
+  );
+}
+
+module.exports = { TIME_GRACE_MS, deadlineOf, remaining, isPast };
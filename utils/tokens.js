@@ -0,0 +1,80 @@
+require("dotenv").config();
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session.js");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hash = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Signs a short-lived access token bound to the session
+function signAccessToken(userId, sessionId) {
+  return jwt.sign(
+    { user: { id: userId }, session: sessionId },
+    process.env.SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Refresh tokens are "<session id>.<random secret>", only the hash is stored
+function newRefreshToken(session) {
+  const refreshToken = `${session.id}.${crypto
+    .randomBytes(32)
+    .toString("hex")}`;
+  session.tokenHash = hash(refreshToken);
+  session.expiresAt = Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+  return refreshToken;
+}
+
+/**
+ * Starts a new session for the user.
+ * @param {Object} user User document.
+ * @param {Object} req Express request, used to record the client.
+ * @returns {Promise<{token: string, refreshToken: string}>}
+ */
+async function issueTokens(user, req) {
+  const session = new Session({
+    user: user.id,
+    userAgent: req.header("user-agent"),
+    ip: req.ip,
+  });
+  const refreshToken = newRefreshToken(session);
+  await session.save();
+
+  return { token: signAccessToken(user.id, session.id), refreshToken };
+}
+
+/**
+ * Rotates a refresh token. Reusing an already rotated token revokes the session.
+ * @param {string} refreshToken Refresh token sent by the client.
+ * @returns {Promise<{token: string, refreshToken: string}|null>} Null if the token is not valid.
+ */
+async function refreshTokens(refreshToken) {
+  const [sessionId] = String(refreshToken).split(".");
+  if (!/^[0-9a-f]{24}$/.test(sessionId)) {
+    return null;
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt < Date.now()) {
+    return null;
+  }
+
+  if (session.tokenHash !== hash(refreshToken)) {
+    // An old token was replayed, the session may be stolen
+    session.revokedAt = Date.now();
+    await session.save();
+    return null;
+  }
+
+  const newToken = newRefreshToken(session);
+  await session.save();
+
+  return {
+    token: signAccessToken(String(session.user), session.id),
+    refreshToken: newToken,
+  };
+}
+
+module.exports = { ACCESS_TOKEN_TTL, issueTokens, refreshTokens };
@@ -0,0 +1,67 @@
+const Game = require("../models/Game.js");
+const User = require("../models/User.js");
+const Attempt = require("../models/Attempt.js");
+
+/**
+ * Locked, unlocked or completed state of games for one user.
+ * A game unlocks when its prerequisites are completed and, with unlockByOrder,
+ * every game with a lower order too. Admin overrides and editors skip the rules.
+ * @param {string} userId
+ * @param {Object[]} games Games to get the state of.
+ * @returns {Promise<Map<string, {state: string, requires: string[]}>>} Keyed by game id, requires lists the missing games.
+ */
+async function gameStates(userId, games) {
+  const [user, completedGames, allGames] = await Promise.all([
+    User.findById(userId).select("roles unlockedGames"),
+    Attempt.completedGames(userId),
+    Game.find(Game.visibleFilter()).select("order"),
+  ]);
+
+  const completed = new Set(completedGames.map((item) => String(item.game)));
+  const unlocked = new Set(
+    ((user && user.unlockedGames) || []).map((id) => String(id))
+  );
+  const visible = new Set(allGames.map((game) => game.id));
+  const skipRules = user && user.hasRole("editor");
+
+  const states = new Map();
+  games.forEach((game) => {
+    const id = String(game._id);
+
+    if (completed.has(id)) {
+      return states.set(id, { state: "completed", requires: [] });
+    }
+
+    // Prerequisites that were deleted or are hidden from learners don't block anything
+    const requires = new Set(
+      (game.prerequisites || [])
+        .map(String)
+        .filter((prerequisite) => visible.has(prerequisite))
+    );
+    if (game.unlockByOrder && game.order != null) {
+      allGames
+        .filter((other) => other.order != null && other.order < game.order)
+        .forEach((other) => requires.add(other.id));
+    }
+
+    const missing = [...requires].filter((item) => !completed.has(item));
+    const open = skipRules || unlocked.has(id) || !missing.length;
+    states.set(id, {
+      state: open ? "unlocked" : "locked",
+      requires: open ? [] : missing,
+    });
+  });
+
+  return states;
+}
+
+/**
+ * State of a single game for one user.
+ * @returns {Promise<{state: string, requires: string[]}>}
+ */
+async function gameState(userId, game) {
+  const states = await gameStates(userId, [game]);
+  return states.get(String(game._id));
+}
+
+module.exports = { gameStates, gameState };
@@ -0,0 +1,94 @@
+const Game = require("../models/Game.js");
+const GameVersion = require("../models/GameVersion.js");
+
+// Question fields compared by diffGames, answers are compared as a whole
+const QUESTION_FIELDS = [
+  "type",
+  "order",
+  "content",
+  "translations",
+  "textMatch",
+  "partialCredit",
+  "timeLimit",
+  "answers",
+];
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Fields whose values differ, with the old and new values
+const changedFields = (from, to, fields) =>
+  fields
+    .filter((field) => !same(from[field], to[field]))
+    .map((field) => ({ field, from: from[field], to: to[field] }));
+
+/**
+ * The game as it was at a version, used to play and grade attempts started
+ * before the game changed.
+ * @param {Object} game Current game document.
+ * @param {number} [version] Version of the attempt.
+ * @returns {Promise<Object>} The game itself when the version is current or unknown.
+ */
+async function gameAtVersion(game, version) {
+  if (!version || version === game.version) {
+    return game;
+  }
+
+  const recorded = await GameVersion.findOne({ game: game._id, version });
+  if (!recorded) {
+    return game;
+  }
+
+  const played = new Game({ ...recorded.snapshot, _id: game._id });
+  played.version = version;
+  return played;
+}
+
+/**
+ * Differences between two snapshots of a game. Questions are matched by id.
+ * @param {Object} from Older snapshot, see Game.snapshot.
+ * @param {Object} to Newer snapshot.
+ * @returns {{fields: Object[], questions: {added: Object[], removed: Object[], changed: Object[]}}}
+ */
+function diffGames(from, to) {
+  const fields = changedFields(
+    from,
+    to,
+    Game.VERSIONED_FIELDS.filter((field) => field !== "questions")
+  );
+
+  const before = new Map(
+    (from.questions || []).map((question) => [String(question._id), question])
+  );
+  const after = new Map(
+    (to.questions || []).map((question) => [String(question._id), question])
+  );
+
+  const changed = [];
+  after.forEach((question, id) => {
+    if (before.has(id)) {
+      const changes = changedFields(before.get(id), question, QUESTION_FIELDS);
+      if (changes.length) {
+        changed.push({
+          question: question._id,
+          content: question.content,
+          fields: changes,
+        });
+      }
+    }
+  });
+
+  return {
+    fields,
+    questions: {
+      added: [...after.keys()]
+        .filter((id) => !before.has(id))
+        .map((id) => after.get(id)),
+      removed: [...before.keys()]
+        .filter((id) => !after.has(id))
+        .map((id) => before.get(id)),
+      changed,
+    },
+  };
+}
+
+module.exports = { gameAtVersion, diffGames };